@@ -25,6 +25,11 @@ class ConferenceAssistantDemo {
                 function_name: "get_upcoming_sessions",
                 parameters: { limit: 3 }
             },
+            {
+                name: "Sessions After Lunch On Day Two",
+                function_name: "get_sessions_at_time",
+                parameters: { time: "after lunch", day: "day 2" }
+            },
             {
                 name: "AI Sessions",
                 function_name: "search_sessions_by_topic",
@@ -5,6 +5,12 @@ const DatabaseManager = require('./database/databaseManager');
 const PostgreSQLDatabaseManager = require('./database/pgDatabaseManager');
 const AdminRoutes = require('./routes/admin');
 const LeadDevScraper = require('./database/leaddevScraper');
+const WebhookVerifier = require('./middleware/webhookVerifier');
+const ConferenceRegistry = require('./config/conferenceRegistry');
+const InstructionBuilder = require('./nlp/instructionBuilder');
+const PromptRegistry = require('./config/promptRegistry');
+const RealtimeSettings = require('./config/realtimeSettings');
+const LanguageDetector = require('./nlp/languageDetector');
 // NLPProcessor not needed - using OpenAI Realtime API instead
 
 class ConferenceVoiceAssistant {
@@ -19,13 +25,34 @@ class ConferenceVoiceAssistant {
         this.leadDevScraper = null;
         this.voiceHandler = null;
         this.adminRoutes = null;
+        this.instructionBuilder = null;
+
+        // Verifies signatures on incoming OpenAI webhooks
+        this.webhookVerifier = new WebhookVerifier();
+
+        // Conference definitions and dialed-number routing
+        this.conferenceRegistry = new ConferenceRegistry();
+
+        // Versioned prompt variants for A/B testing
+        this.promptRegistry = new PromptRegistry();
+
+        // Realtime model, voice and turn-detection settings
+        this.realtimeSettings = new RealtimeSettings(this.conferenceRegistry);
+
+        // Supported caller languages and detection
+        this.languageDetector = new LanguageDetector();
 
         this.setupMiddleware();
         // setupRoutes() will be called after database initialization
     }
 
     setupMiddleware() {
-        this.app.use(express.json());
+        // Keep the raw body around - webhook signatures are computed over the exact bytes
+        this.app.use(express.json({
+            verify: (req, res, buf) => {
+                req.rawBody = buf;
+            }
+        }));
         this.app.use(express.urlencoded({ extended: true }));
         
         // CORS for development
@@ -49,7 +76,9 @@ class ConferenceVoiceAssistant {
         });
 
         // OpenAI Realtime API webhook (receives all Realtime events)
-        this.app.post('/webhook/openai/realtime', async (req, res) => {
+        const verifyWebhook = this.webhookVerifier.middleware();
+
+        this.app.post('/webhook/openai/realtime', verifyWebhook, async (req, res) => {
             const event = req.body;
 
             // Route different event types
@@ -64,13 +93,14 @@ class ConferenceVoiceAssistant {
         });
 
         // Legacy endpoints (keeping for backward compatibility during transition)
-        this.app.post('/webhook/voice/inbound', this.voiceHandler.handleIncomingCall.bind(this.voiceHandler));
+        this.app.post('/webhook/voice/inbound', verifyWebhook, this.voiceHandler.handleIncomingCall.bind(this.voiceHandler));
 
         // Demo endpoints for testing
         this.app.post('/demo/query', this.voiceHandler.handleTextQuery.bind(this.voiceHandler));
         this.app.get('/demo/sessions', async (req, res) => {
             try {
-                const sessions = await this.databaseManager.getAllSessions();
+                const conference = this.conferenceRegistry.get(req.query.conference_id);
+                const sessions = await this.databaseManager.getAllSessions(conference.id);
                 res.json(sessions);
             } catch (error) {
                 res.status(500).json({ error: error.message });
@@ -85,6 +115,13 @@ class ConferenceVoiceAssistant {
     }
 
     async initialize() {
+        // Refuse to start with webhook verification off in production
+        const webhookConfigError = this.webhookVerifier.getConfigurationError();
+        if (webhookConfigError) {
+            console.error(`❌ Fatal configuration error: ${webhookConfigError}`);
+            process.exit(1);
+        }
+
         try {
             // Try PostgreSQL first if DATABASE_URL is available
             if (process.env.DATABASE_URL) {
@@ -107,10 +144,17 @@ class ConferenceVoiceAssistant {
                 console.log('✅ SQLite database initialized successfully');
             }
             
+            // Sessions loaded before multi-conference support belong to the default conference
+            await this.databaseManager.assignUnscopedSessions(this.conferenceRegistry.getDefault().id);
+
+            // Build system instructions from the loaded conference data
+            this.instructionBuilder = new InstructionBuilder(this.databaseManager, this.conferenceRegistry, this.languageDetector);
+            await this.instructionBuilder.refreshAll();
+
             // Initialize components that depend on database manager
             this.leadDevScraper = new LeadDevScraper(this.databaseManager);
-            this.voiceHandler = new VoiceHandler(null, this.databaseManager);
-            this.adminRoutes = new AdminRoutes(this.databaseManager, this.leadDevScraper);
+            this.voiceHandler = new VoiceHandler(null, this.databaseManager, this.conferenceRegistry, this.instructionBuilder, this.promptRegistry, this.realtimeSettings, this.languageDetector);
+            this.adminRoutes = new AdminRoutes(this.databaseManager, this.leadDevScraper, this.conferenceRegistry, this.instructionBuilder, this.promptRegistry, this.realtimeSettings);
 
             // Setup routes NOW that all components are initialized
             this.setupRoutes();
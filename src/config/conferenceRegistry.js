@@ -0,0 +1,177 @@
+const fs = require('fs');
+const path = require('path');
+const { parseSipNumber } = require('../voice/sipUtils');
+
+/**
+ * Conference Registry
+ * Loads conference definitions from config/conferences/*.json and routes
+ * incoming calls to a conference by the dialed number (SIP To header)
+ */
+
+class ConferenceRegistry {
+    constructor(configDir = process.env.CONFERENCE_CONFIG_DIR || path.join(__dirname, '../../config/conferences')) {
+        this.configDir = configDir;
+        this.conferences = new Map();
+        this.defaultConferenceId = null;
+
+        this.load();
+    }
+
+    /**
+     * Load every conference definition in the config directory
+     */
+    load() {
+        this.conferences.clear();
+        this.defaultConferenceId = null;
+
+        let files = [];
+        try {
+            files = fs.readdirSync(this.configDir).filter(file => file.endsWith('.json')).sort();
+        } catch (error) {
+            console.warn(`⚠️  Could not read conference config directory ${this.configDir}: ${error.message}`);
+        }
+
+        for (const file of files) {
+            try {
+                const raw = JSON.parse(fs.readFileSync(path.join(this.configDir, file), 'utf8'));
+                const conference = this.normalize(raw, file);
+                this.conferences.set(conference.id, conference);
+
+                if (conference.default && !this.defaultConferenceId) {
+                    this.defaultConferenceId = conference.id;
+                }
+            } catch (error) {
+                console.error(`❌ Invalid conference config ${file}: ${error.message}`);
+            }
+        }
+
+        if (this.conferences.size === 0) {
+            console.warn('⚠️  No conference definitions found - using a generic default conference');
+            const fallback = this.normalize({
+                id: 'default',
+                name: process.env.CONFERENCE_NAME || 'the conference',
+                dates: [process.env.CONFERENCE_DATE, process.env.CONFERENCE_DATE_2].filter(Boolean)
+            }, 'fallback');
+            this.conferences.set(fallback.id, fallback);
+        }
+
+        // Without an explicit default, the first definition wins
+        if (!this.defaultConferenceId) {
+            this.defaultConferenceId = this.conferences.keys().next().value;
+        }
+
+        console.log(`📅 Loaded ${this.conferences.size} conference(s): ${Array.from(this.conferences.keys()).join(', ')} (default: ${this.defaultConferenceId})`);
+    }
+
+    /**
+     * Validate a raw definition and fill in defaults
+     */
+    normalize(raw, source) {
+        if (!raw.id || typeof raw.id !== 'string') {
+            throw new Error(`"id" is required (${source})`);
+        }
+        if (!raw.name || typeof raw.name !== 'string') {
+            throw new Error(`"name" is required (${source})`);
+        }
+
+        const dates = Array.isArray(raw.dates) ? raw.dates : [];
+        const invalidDate = dates.find(date => !/^\d{4}-\d{2}-\d{2}$/.test(date));
+        if (invalidDate) {
+            throw new Error(`dates must be YYYY-MM-DD, got "${invalidDate}" (${source})`);
+        }
+
+        const timezone = raw.timezone || 'America/New_York';
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        } catch (error) {
+            throw new Error(`unknown timezone "${timezone}" (${source})`);
+        }
+
+        return {
+            id: raw.id,
+            name: raw.name,
+            default: !!raw.default,
+            location: raw.location || null,
+            dates: dates.slice().sort(),
+            timezone,
+            dialedNumbers: (raw.dialedNumbers || []).map(parseSipNumber),
+            agendaSource: raw.agendaSource || null,
+            instructions: raw.instructions || null,
+            // Realtime session overrides - validated by RealtimeSettings
+            realtime: raw.realtime || {}
+        };
+    }
+
+    /**
+     * Get a conference by id, falling back to the default conference
+     */
+    get(conferenceId) {
+        return this.conferences.get(conferenceId) || this.getDefault();
+    }
+
+    getDefault() {
+        return this.conferences.get(this.defaultConferenceId);
+    }
+
+    getAll() {
+        return Array.from(this.conferences.values());
+    }
+
+    /**
+     * Route an incoming call to a conference by the number that was dialed
+     * @param {string} toHeader - SIP To header value
+     * @returns {Object} Conference definition (default conference when nothing matches)
+     */
+    resolveByDialedNumber(toHeader) {
+        const dialed = parseSipNumber(toHeader);
+        if (dialed !== 'unknown') {
+            for (const conference of this.conferences.values()) {
+                if (conference.dialedNumbers.includes(dialed)) {
+                    return conference;
+                }
+            }
+        }
+        return this.getDefault();
+    }
+
+    /**
+     * Today's date (YYYY-MM-DD) in the conference's timezone
+     */
+    getLocalDate(conference, date = new Date()) {
+        // en-CA formats dates as YYYY-MM-DD
+        return new Intl.DateTimeFormat('en-CA', {
+            timeZone: conference.timezone,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit'
+        }).format(date);
+    }
+
+    /**
+     * Whether today is one of the conference's days
+     */
+    isConferenceDay(conference) {
+        return conference.dates.includes(this.getLocalDate(conference));
+    }
+
+    /**
+     * Human-friendly date range, e.g. "October 15-16, 2025"
+     */
+    formatDates(conference) {
+        if (conference.dates.length === 0) return null;
+
+        const format = (date, options) => new Date(`${date}T12:00:00Z`).toLocaleDateString('en-US', { timeZone: 'UTC', ...options });
+        const first = conference.dates[0];
+        const last = conference.dates[conference.dates.length - 1];
+
+        if (first === last) {
+            return format(first, { month: 'long', day: 'numeric', year: 'numeric' });
+        }
+        if (first.slice(0, 7) === last.slice(0, 7)) {
+            return `${format(first, { month: 'long', day: 'numeric' })}-${format(last, { day: 'numeric' })}, ${first.slice(0, 4)}`;
+        }
+        return `${format(first, { month: 'long', day: 'numeric' })} - ${format(last, { month: 'long', day: 'numeric', year: 'numeric' })}`;
+    }
+}
+
+module.exports = ConferenceRegistry;
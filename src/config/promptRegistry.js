@@ -0,0 +1,124 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Prompt Registry
+ * Loads versioned prompt variants from config/prompts/*.json and assigns one to
+ * each call (weighted random, or a stable hash of the caller number) for A/B testing
+ */
+
+const DEFAULT_GREETING = 'Greet the user warmly and ask how you can help them with {{conferenceName}}.';
+const DEFAULT_RETURNING_GREETING = 'Welcome the caller back warmly.{{recap}} Then ask how you can help them with {{conferenceName}} today.';
+
+class PromptRegistry {
+    constructor(configDir = process.env.PROMPT_CONFIG_DIR || path.join(__dirname, '../../config/prompts')) {
+        this.configDir = configDir;
+        this.variants = new Map();
+
+        // weighted: random by weight on every call | caller_hash: same caller always gets the same variant
+        this.assignmentMode = process.env.PROMPT_ASSIGNMENT === 'caller_hash' ? 'caller_hash' : 'weighted';
+
+        this.load();
+    }
+
+    /**
+     * Load every prompt variant in the config directory
+     */
+    load() {
+        this.variants.clear();
+
+        let files = [];
+        try {
+            files = fs.readdirSync(this.configDir).filter(file => file.endsWith('.json')).sort();
+        } catch (error) {
+            console.warn(`⚠️  Could not read prompt config directory ${this.configDir}: ${error.message}`);
+        }
+
+        for (const file of files) {
+            try {
+                const raw = JSON.parse(fs.readFileSync(path.join(this.configDir, file), 'utf8'));
+                const variant = this.normalize(raw, file);
+                this.variants.set(variant.id, variant);
+            } catch (error) {
+                console.error(`❌ Invalid prompt config ${file}: ${error.message}`);
+            }
+        }
+
+        if (this.variants.size === 0) {
+            const fallback = this.normalize({ id: 'default' }, 'fallback');
+            this.variants.set(fallback.id, fallback);
+        }
+
+        const summary = this.getAll().map(variant => `${variant.id}=${variant.weight}`).join(', ');
+        console.log(`🧪 Loaded ${this.variants.size} prompt variant(s) (${summary}), assignment: ${this.assignmentMode}`);
+    }
+
+    /**
+     * Validate a raw variant and fill in defaults
+     */
+    normalize(raw, source) {
+        if (!raw.id || typeof raw.id !== 'string') {
+            throw new Error(`"id" is required (${source})`);
+        }
+
+        const weight = raw.weight === undefined ? 1 : Number(raw.weight);
+        if (!Number.isFinite(weight) || weight < 0) {
+            throw new Error(`weight must be a non-negative number (${source})`);
+        }
+
+        // System template lives in a text file next to the JSON; null means the built-in template
+        let systemTemplate = null;
+        if (raw.systemTemplateFile) {
+            systemTemplate = fs.readFileSync(path.join(this.configDir, raw.systemTemplateFile), 'utf8');
+        }
+
+        return {
+            id: raw.id,
+            description: raw.description || null,
+            weight,
+            systemTemplate,
+            greeting: raw.greeting || DEFAULT_GREETING,
+            returningGreeting: raw.returningGreeting || DEFAULT_RETURNING_GREETING
+        };
+    }
+
+    get(versionId) {
+        return this.variants.get(versionId) || null;
+    }
+
+    getAll() {
+        return Array.from(this.variants.values());
+    }
+
+    /**
+     * Pick the prompt variant for a call
+     * @param {string} callerNumber - Normalized caller number (used in caller_hash mode)
+     * @returns {Object} Prompt variant
+     */
+    assign(callerNumber) {
+        // Weight 0 retires a variant without losing it from the stats
+        const candidates = this.getAll().filter(variant => variant.weight > 0);
+        if (candidates.length === 0) {
+            return this.getAll()[0];
+        }
+
+        const totalWeight = candidates.reduce((sum, variant) => sum + variant.weight, 0);
+
+        let point;
+        if (this.assignmentMode === 'caller_hash' && callerNumber && callerNumber !== 'unknown') {
+            const hash = crypto.createHash('sha256').update(callerNumber).digest();
+            point = (hash.readUInt32BE(0) / 0x100000000) * totalWeight;
+        } else {
+            point = Math.random() * totalWeight;
+        }
+
+        for (const variant of candidates) {
+            point -= variant.weight;
+            if (point < 0) return variant;
+        }
+        return candidates[candidates.length - 1];
+    }
+}
+
+module.exports = PromptRegistry;
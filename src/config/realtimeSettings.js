@@ -0,0 +1,184 @@
+/**
+ * Realtime Session Settings
+ * Validated model, voice and turn-detection settings for the Realtime session,
+ * read from environment variables and overridable per conference ("realtime" in the conference config).
+ * Sent in the GA Realtime session shape (audio.input / audio.output, output_modalities)
+ */
+
+const VOICES = ['alloy', 'ash', 'ballad', 'cedar', 'coral', 'echo', 'marin', 'sage', 'shimmer', 'verse'];
+// GA sessions produce one output modality - audio responses carry their transcript anyway
+const OUTPUT_MODALITIES = ['audio', 'text'];
+
+// Each setting: env variable, built-in default, parser and validator (returns an error message or null)
+const SETTINGS = {
+    model: {
+        env: 'REALTIME_MODEL',
+        default: 'gpt-realtime',
+        parse: value => String(value).trim(),
+        validate: value => (value ? null : 'must be a non-empty model name')
+    },
+    voice: {
+        env: 'REALTIME_VOICE',
+        default: 'alloy',
+        parse: value => String(value).trim().toLowerCase(),
+        validate: value => (VOICES.includes(value) ? null : `must be one of ${VOICES.join(', ')}`)
+    },
+    outputModalities: {
+        env: 'REALTIME_OUTPUT_MODALITIES',
+        default: ['audio'],
+        parse: value => (Array.isArray(value) ? value : String(value).split(',')).map(m => String(m).trim()),
+        validate: value => (value.length === 1 && OUTPUT_MODALITIES.includes(value[0])
+            ? null
+            : `must be one of ${OUTPUT_MODALITIES.join(', ')}`)
+    },
+    // Validated and reported, but not sent: the GA session object has no temperature field
+    temperature: {
+        env: 'REALTIME_TEMPERATURE',
+        default: 0.8,
+        parse: Number,
+        validate: value => (value >= 0.6 && value <= 1.2 ? null : 'must be between 0.6 and 1.2')
+    },
+    vadThreshold: {
+        env: 'VAD_THRESHOLD',
+        default: 0.5,
+        parse: Number,
+        validate: value => (value >= 0 && value <= 1 ? null : 'must be between 0 and 1')
+    },
+    vadPrefixPaddingMs: {
+        env: 'VAD_PREFIX_PADDING_MS',
+        default: 300,
+        parse: Number,
+        validate: value => (Number.isInteger(value) && value >= 0 && value <= 5000 ? null : 'must be a whole number of ms between 0 and 5000')
+    },
+    vadSilenceDurationMs: {
+        env: 'VAD_SILENCE_DURATION_MS',
+        default: 500,
+        parse: Number,
+        validate: value => (Number.isInteger(value) && value >= 100 && value <= 10000 ? null : 'must be a whole number of ms between 100 and 10000')
+    },
+    transcriptionModel: {
+        env: 'INPUT_TRANSCRIPTION_MODEL',
+        default: 'whisper-1',
+        // "none" turns caller transcription off
+        parse: value => (String(value).trim() === 'none' ? null : String(value).trim()),
+        validate: value => (value === null || value ? null : 'must be a model name or "none"')
+    },
+    maxOutputTokens: {
+        env: 'MAX_OUTPUT_TOKENS',
+        default: 'inf',
+        parse: value => (String(value).trim() === 'inf' ? 'inf' : Number(value)),
+        validate: value => (value === 'inf' || (Number.isInteger(value) && value >= 1 && value <= 4096)
+            ? null
+            : 'must be "inf" or a whole number between 1 and 4096')
+    }
+};
+
+class RealtimeSettings {
+    constructor(conferenceRegistry) {
+        this.conferenceRegistry = conferenceRegistry;
+
+        // Problems found while loading, kept for the admin endpoint
+        this.errors = [];
+
+        const envValues = {};
+        for (const [key, setting] of Object.entries(SETTINGS)) {
+            if (process.env[setting.env] !== undefined && process.env[setting.env] !== '') {
+                envValues[key] = process.env[setting.env];
+            }
+        }
+
+        this.defaults = {
+            ...this.getBuiltInDefaults(),
+            ...this.validate(envValues, 'environment')
+        };
+
+        // Effective settings per conference
+        this.effective = new Map();
+        for (const conference of this.conferenceRegistry.getAll()) {
+            this.effective.set(conference.id, {
+                ...this.defaults,
+                ...this.validate(conference.realtime || {}, `conference ${conference.id}`)
+            });
+        }
+    }
+
+    getBuiltInDefaults() {
+        const defaults = {};
+        for (const [key, setting] of Object.entries(SETTINGS)) {
+            defaults[key] = setting.default;
+        }
+        return defaults;
+    }
+
+    /**
+     * Parse and validate raw values, dropping (and logging) invalid ones
+     * @param {Object} raw - Setting values keyed by setting name
+     * @param {string} source - Where the values came from, for error messages
+     * @returns {Object} Valid settings only
+     */
+    validate(raw, source) {
+        const valid = {};
+
+        for (const [key, value] of Object.entries(raw)) {
+            const setting = SETTINGS[key];
+            if (!setting) {
+                this.recordError(source, key, `unknown setting (expected one of ${Object.keys(SETTINGS).join(', ')})`);
+                continue;
+            }
+
+            const parsed = setting.parse(value);
+            const error = setting.validate(parsed);
+            if (error) {
+                this.recordError(source, key, `${JSON.stringify(value)} ${error}`);
+                continue;
+            }
+
+            valid[key] = parsed;
+        }
+
+        return valid;
+    }
+
+    recordError(source, key, message) {
+        const error = `${source}: ${key} ${message}`;
+        this.errors.push(error);
+        console.warn(`⚠️  Ignoring realtime setting - ${error}`);
+    }
+
+    /**
+     * Effective settings for a conference (defaults when it has no overrides)
+     */
+    get(conference) {
+        return this.effective.get(conference?.id) || this.defaults;
+    }
+
+    /**
+     * GA Realtime session fields for the call accept payload (instructions and tools are added per call)
+     */
+    toSessionConfig(settings) {
+        return {
+            type: 'realtime',
+            model: settings.model,
+            output_modalities: settings.outputModalities,
+            max_output_tokens: settings.maxOutputTokens,
+            audio: {
+                input: {
+                    turn_detection: {
+                        type: 'server_vad',
+                        threshold: settings.vadThreshold,
+                        prefix_padding_ms: settings.vadPrefixPaddingMs,
+                        silence_duration_ms: settings.vadSilenceDurationMs
+                    },
+                    transcription: settings.transcriptionModel
+                        ? { model: settings.transcriptionModel }
+                        : null
+                },
+                output: {
+                    voice: settings.voice
+                }
+            }
+        };
+    }
+}
+
+module.exports = RealtimeSettings;
@@ -2,6 +2,7 @@ const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const fs = require('fs');
 const { format, parseISO, isAfter, isBefore, addHours } = require('date-fns');
+const { buildSessionSearch } = require('./sessionQueryBuilder');
 
 class DatabaseManager {
     constructor() {
@@ -35,6 +36,13 @@ class DatabaseManager {
             await this.runQuery(query);
         }
 
+        // Columns added after the first release - older databases need them too
+        if (!this.isPostgres) {
+            await this.addColumnIfMissing('sessions', 'conference_id', 'TEXT');
+            await this.addColumnIfMissing('calls', 'conference_id', 'TEXT');
+            await this.addColumnIfMissing('calls', 'prompt_version', 'TEXT');
+        }
+
         // Check if we need to populate with sample data
         const sessionCount = await this.getQuery('SELECT COUNT(*) as count FROM sessions');
         if (sessionCount.count === 0) {
@@ -120,6 +128,7 @@ class DatabaseManager {
                 max_attendees INTEGER,
                 registration_required BOOLEAN DEFAULT false,
                 session_url TEXT,
+                conference_id TEXT,
                 created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
             )`,
             
@@ -139,7 +148,54 @@ class DatabaseManager {
                 PRIMARY KEY (session_id, topic_id),
                 FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE,
                 FOREIGN KEY (topic_id) REFERENCES topics(id)
-            )`
+            )`,
+
+            // Phone calls handled by the assistant
+            `CREATE TABLE IF NOT EXISTS calls (
+                call_id TEXT PRIMARY KEY,
+                caller_number TEXT,
+                conference_id TEXT,
+                status TEXT,
+                started_at TIMESTAMP,
+                accepted_at TIMESTAMP,
+                ended_at TIMESTAMP,
+                end_reason TEXT,
+                prompt_version TEXT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )`,
+
+            // Transcript turns and function calls within a call
+            `CREATE TABLE IF NOT EXISTS call_events (
+                id SERIAL PRIMARY KEY,
+                call_id TEXT NOT NULL REFERENCES calls(call_id) ON DELETE CASCADE,
+                event_type TEXT NOT NULL,
+                role TEXT,
+                content TEXT,
+                function_name TEXT,
+                arguments TEXT,
+                result_count INTEGER,
+                success BOOLEAN,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )`,
+
+            // Admin-managed block/allow list of caller numbers
+            `CREATE TABLE IF NOT EXISTS caller_list (
+                phone_number TEXT PRIMARY KEY,
+                list_type TEXT NOT NULL CHECK (list_type IN ('block', 'allow')),
+                reason TEXT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )`,
+
+            // Sessions each caller has saved, kept across calls
+            `CREATE TABLE IF NOT EXISTS attendee_agenda (
+                id SERIAL PRIMARY KEY,
+                caller_number TEXT NOT NULL,
+                conference_id TEXT,
+                session_id INTEGER NOT NULL REFERENCES sessions(id) ON DELETE CASCADE,
+                added_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (caller_number, session_id)
+            )`,
+            `CREATE INDEX IF NOT EXISTS idx_attendee_agenda_caller ON attendee_agenda(caller_number)`
         ];
     }
 
@@ -209,6 +265,7 @@ class DatabaseManager {
                 max_attendees INTEGER,
                 registration_required BOOLEAN DEFAULT 0,
                 session_url TEXT,
+                conference_id TEXT,
                 created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
                 FOREIGN KEY (venue_id) REFERENCES venues(id),
                 FOREIGN KEY (speaker_id) REFERENCES speakers(id),
@@ -229,7 +286,49 @@ class DatabaseManager {
                 PRIMARY KEY (session_id, topic_id),
                 FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE,
                 FOREIGN KEY (topic_id) REFERENCES topics(id)
-            )`
+            )`,
+            `CREATE TABLE IF NOT EXISTS calls (
+                call_id TEXT PRIMARY KEY,
+                caller_number TEXT,
+                conference_id TEXT,
+                status TEXT,
+                started_at DATETIME,
+                accepted_at DATETIME,
+                ended_at DATETIME,
+                end_reason TEXT,
+                prompt_version TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )`,
+            `CREATE TABLE IF NOT EXISTS call_events (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                call_id TEXT NOT NULL,
+                event_type TEXT NOT NULL,
+                role TEXT,
+                content TEXT,
+                function_name TEXT,
+                arguments TEXT,
+                result_count INTEGER,
+                success BOOLEAN,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (call_id) REFERENCES calls(call_id) ON DELETE CASCADE
+            )`,
+            `CREATE INDEX IF NOT EXISTS idx_call_events_call_id ON call_events(call_id)`,
+            `CREATE TABLE IF NOT EXISTS caller_list (
+                phone_number TEXT PRIMARY KEY,
+                list_type TEXT NOT NULL CHECK (list_type IN ('block', 'allow')),
+                reason TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )`,
+            `CREATE TABLE IF NOT EXISTS attendee_agenda (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                caller_number TEXT NOT NULL,
+                conference_id TEXT,
+                session_id INTEGER NOT NULL,
+                added_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (caller_number, session_id),
+                FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE
+            )`,
+            `CREATE INDEX IF NOT EXISTS idx_attendee_agenda_caller ON attendee_agenda(caller_number)`
         ];
     }
 
@@ -413,6 +512,13 @@ class DatabaseManager {
         console.log('Sample LeadDev data populated successfully');
     }
 
+    async addColumnIfMissing(table, column, definition) {
+        const columns = await this.allQuery(`PRAGMA table_info(${table})`);
+        if (!columns.some(c => c.name === column)) {
+            await this.runQuery(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+        }
+    }
+
     // Utility methods for database operations
     async runQuery(sql, params = []) {
         if (this.isPostgres) {
@@ -474,8 +580,25 @@ class DatabaseManager {
         });
     }
 
+    // Restrict a session query to one conference (no-op when conferenceId is null)
+    conferenceScope(conferenceId, params) {
+        if (!conferenceId) return '';
+        params.push(conferenceId);
+        return this.isPostgres ? ` AND s.conference_id = $${params.length}` : ' AND s.conference_id = ?';
+    }
+
+    // Attach sessions that predate conference scoping to the default conference
+    async assignUnscopedSessions(conferenceId) {
+        const result = await this.runQuery('UPDATE sessions SET conference_id = ? WHERE conference_id IS NULL', [conferenceId]);
+        if (result.changes > 0) {
+            console.log(`Assigned ${result.changes} unscoped session(s) to conference ${conferenceId}`);
+        }
+    }
+
     // Enhanced query methods for LeadDev data
-    async getAllSessions() {
+    async getAllSessions(conferenceId = null) {
+        const params = [];
+        const scope = this.conferenceScope(conferenceId, params);
         const groupConcat = this.isPostgres ? 'STRING_AGG(DISTINCT sl.name, \',\')' : 'GROUP_CONCAT(DISTINCT sl.name)';
         const sql = `
             SELECT s.*, 
@@ -493,14 +616,17 @@ class DatabaseManager {
             LEFT JOIN companies sc ON s.sponsor_company_id = sc.id
             LEFT JOIN session_suitability ss ON s.id = ss.session_id
             LEFT JOIN suitability_levels sl ON ss.suitability_level_id = sl.id
+            WHERE 1=1${scope}
             GROUP BY s.id, sp.name, sp.title, sp.company, st.name, t.name, v.name, sc.name
             ORDER BY s.start_time
         `;
-        return await this.allQuery(sql);
+        return await this.allQuery(sql, params);
     }
 
-    async getCurrentSessions() {
+    async getCurrentSessions(conferenceId = null) {
         const now = new Date().toISOString();
+        const params = [now, now];
+        const scope = this.conferenceScope(conferenceId, params);
         const groupConcat = this.isPostgres ? 'STRING_AGG(DISTINCT sl.name, \',\')' : 'GROUP_CONCAT(DISTINCT sl.name)';
         const paramPlaceholder = this.isPostgres ? '$1' : '?';
         const paramPlaceholder2 = this.isPostgres ? '$2' : '?';
@@ -518,15 +644,18 @@ class DatabaseManager {
             LEFT JOIN venues v ON s.venue_id = v.id
             LEFT JOIN session_suitability ss ON s.id = ss.session_id
             LEFT JOIN suitability_levels sl ON ss.suitability_level_id = sl.id
-            WHERE s.start_time <= ${paramPlaceholder} AND s.end_time >= ${paramPlaceholder2}
+            WHERE s.start_time <= ${paramPlaceholder} AND s.end_time >= ${paramPlaceholder2}${scope}
             GROUP BY s.id, sp.name, sp.title, sp.company, st.name, t.name, v.name
             ORDER BY s.start_time
         `;
-        return await this.allQuery(sql, [now, now]);
+        return await this.allQuery(sql, params);
     }
 
-    async getUpcomingSessions(limit = 5) {
+    async getUpcomingSessions(limit = 5, conferenceId = null) {
         const now = new Date().toISOString();
+        const params = [now];
+        const scope = this.conferenceScope(conferenceId, params);
+        params.push(limit);
         const sql = `
             SELECT s.*, 
                    sp.name as speaker_name, sp.title as speaker_title, sp.company as speaker_company,
@@ -541,15 +670,48 @@ class DatabaseManager {
             LEFT JOIN venues v ON s.venue_id = v.id
             LEFT JOIN session_suitability ss ON s.id = ss.session_id
             LEFT JOIN suitability_levels sl ON ss.suitability_level_id = sl.id
-            WHERE s.start_time > ?
+            WHERE s.start_time > ?${scope}
             GROUP BY s.id
             ORDER BY s.start_time
             LIMIT ?
         `;
-        return await this.allQuery(sql, [now, limit]);
+        return await this.allQuery(sql, params);
+    }
+
+    // Combined multi-filter search (see sessionQueryBuilder for the filters)
+    async findSessions(filters = {}) {
+        const { sql, params } = buildSessionSearch(filters, this.isPostgres ? 'postgres' : 'sqlite');
+        return await this.allQuery(sql, params);
+    }
+
+    // Sessions running at any point in [windowStart, windowEnd] (pass the same value twice for an instant)
+    async getSessionsInWindow(windowStart, windowEnd, conferenceId = null) {
+        const params = [windowEnd, windowStart];
+        const scope = this.conferenceScope(conferenceId, params);
+        const sql = `
+            SELECT s.*, 
+                   sp.name as speaker_name, sp.title as speaker_title, sp.company as speaker_company,
+                   st.name as session_type, 
+                   t.name as topic_name, 
+                   v.name as venue_name,
+                   GROUP_CONCAT(DISTINCT sl.name) as suitability_levels
+            FROM sessions s
+            LEFT JOIN speakers sp ON s.speaker_id = sp.id
+            LEFT JOIN session_types st ON s.session_type_id = st.id
+            LEFT JOIN topics t ON s.topic_id = t.id
+            LEFT JOIN venues v ON s.venue_id = v.id
+            LEFT JOIN session_suitability ss ON s.id = ss.session_id
+            LEFT JOIN suitability_levels sl ON ss.suitability_level_id = sl.id
+            WHERE s.start_time <= ? AND s.end_time > ?${scope}
+            GROUP BY s.id
+            ORDER BY s.start_time
+        `;
+        return await this.allQuery(sql, params);
     }
 
-    async getSessionsByTopic(topicName) {
+    async getSessionsByTopic(topicName, conferenceId = null) {
+        const params = [`%${topicName}%`];
+        const scope = this.conferenceScope(conferenceId, params);
         const sql = `
             SELECT s.*, 
                    sp.name as speaker_name, sp.title as speaker_title, sp.company as speaker_company,
@@ -564,14 +726,16 @@ class DatabaseManager {
             LEFT JOIN venues v ON s.venue_id = v.id
             LEFT JOIN session_suitability ss ON s.id = ss.session_id
             LEFT JOIN suitability_levels sl ON ss.suitability_level_id = sl.id
-            WHERE LOWER(t.name) LIKE LOWER(?)
+            WHERE LOWER(t.name) LIKE LOWER(?)${scope}
             GROUP BY s.id
             ORDER BY s.start_time
         `;
-        return await this.allQuery(sql, [`%${topicName}%`]);
+        return await this.allQuery(sql, params);
     }
 
-    async getSessionsBySpeaker(speakerName) {
+    async getSessionsBySpeaker(speakerName, conferenceId = null) {
+        const params = [`%${speakerName}%`];
+        const scope = this.conferenceScope(conferenceId, params);
         const sql = `
             SELECT s.*, 
                    sp.name as speaker_name, sp.title as speaker_title, sp.company as speaker_company, sp.bio as speaker_bio,
@@ -586,14 +750,16 @@ class DatabaseManager {
             LEFT JOIN venues v ON s.venue_id = v.id
             LEFT JOIN session_suitability ss ON s.id = ss.session_id
             LEFT JOIN suitability_levels sl ON ss.suitability_level_id = sl.id
-            WHERE LOWER(sp.name) LIKE LOWER(?)
+            WHERE LOWER(sp.name) LIKE LOWER(?)${scope}
             GROUP BY s.id
             ORDER BY s.start_time
         `;
-        return await this.allQuery(sql, [`%${speakerName}%`]);
+        return await this.allQuery(sql, params);
     }
 
-    async getSessionsByType(sessionType) {
+    async getSessionsByType(sessionType, conferenceId = null) {
+        const params = [`%${sessionType}%`];
+        const scope = this.conferenceScope(conferenceId, params);
         const sql = `
             SELECT s.*, 
                    sp.name as speaker_name, sp.title as speaker_title, sp.company as speaker_company,
@@ -608,14 +774,17 @@ class DatabaseManager {
             LEFT JOIN venues v ON s.venue_id = v.id
             LEFT JOIN session_suitability ss ON s.id = ss.session_id
             LEFT JOIN suitability_levels sl ON ss.suitability_level_id = sl.id
-            WHERE LOWER(st.name) LIKE LOWER(?)
+            WHERE LOWER(st.name) LIKE LOWER(?)${scope}
             GROUP BY s.id
             ORDER BY s.start_time
         `;
-        return await this.allQuery(sql, [`%${sessionType}%`]);
+        return await this.allQuery(sql, params);
     }
 
-    async searchSessions(searchTerm) {
+    async searchSessions(searchTerm, conferenceId = null) {
+        const searchPattern = `%${searchTerm}%`;
+        const params = [searchPattern, searchPattern, searchPattern, searchPattern, searchPattern];
+        const scope = this.conferenceScope(conferenceId, params);
         const sql = `
             SELECT s.*, 
                    sp.name as speaker_name, sp.title as speaker_title, sp.company as speaker_company,
@@ -630,16 +799,225 @@ class DatabaseManager {
             LEFT JOIN venues v ON s.venue_id = v.id
             LEFT JOIN session_suitability ss ON s.id = ss.session_id
             LEFT JOIN suitability_levels sl ON ss.suitability_level_id = sl.id
-            WHERE LOWER(s.title) LIKE LOWER(?) 
+            WHERE (LOWER(s.title) LIKE LOWER(?) 
                OR LOWER(s.description) LIKE LOWER(?)
                OR LOWER(sp.name) LIKE LOWER(?)
                OR LOWER(t.name) LIKE LOWER(?)
-               OR LOWER(st.name) LIKE LOWER(?)
+               OR LOWER(st.name) LIKE LOWER(?))${scope}
             GROUP BY s.id
             ORDER BY s.start_time
         `;
-        const searchPattern = `%${searchTerm}%`;
-        return await this.allQuery(sql, [searchPattern, searchPattern, searchPattern, searchPattern, searchPattern]);
+        return await this.allQuery(sql, params);
+    }
+
+    // Sessions in one venue still running after windowStart, optionally only those starting by windowEnd
+    async getSessionsByVenue(venueId, windowStart, windowEnd = null, conferenceId = null) {
+        const params = [venueId, windowStart];
+        let windowFilter = '';
+        if (windowEnd) {
+            params.push(windowEnd);
+            windowFilter = ' AND s.start_time <= ?';
+        }
+        const scope = this.conferenceScope(conferenceId, params);
+        const sql = `
+            SELECT s.*, 
+                   sp.name as speaker_name, sp.title as speaker_title, sp.company as speaker_company,
+                   st.name as session_type, 
+                   t.name as topic_name, 
+                   v.name as venue_name,
+                   GROUP_CONCAT(DISTINCT sl.name) as suitability_levels
+            FROM sessions s
+            LEFT JOIN speakers sp ON s.speaker_id = sp.id
+            LEFT JOIN session_types st ON s.session_type_id = st.id
+            LEFT JOIN topics t ON s.topic_id = t.id
+            LEFT JOIN venues v ON s.venue_id = v.id
+            LEFT JOIN session_suitability ss ON s.id = ss.session_id
+            LEFT JOIN suitability_levels sl ON ss.suitability_level_id = sl.id
+            WHERE s.venue_id = ? AND s.end_time > ?${windowFilter}${scope}
+            GROUP BY s.id
+            ORDER BY s.start_time
+        `;
+        return await this.allQuery(sql, params);
+    }
+
+    // Venues with sessions in a conference (every venue when conferenceId is null)
+    async getVenues(conferenceId = null) {
+        const params = [];
+        const scope = this.conferenceScope(conferenceId, params);
+        const sql = conferenceId
+            ? `
+                SELECT DISTINCT v.id, v.name, v.capacity, v.location_description
+                FROM venues v
+                JOIN sessions s ON s.venue_id = v.id
+                WHERE 1=1${scope}
+                ORDER BY v.name
+            `
+            : 'SELECT id, name, capacity, location_description FROM venues ORDER BY name';
+        return await this.allQuery(sql, params);
+    }
+
+    // Distinct session types, topics and venues used by a conference's sessions
+    async getConferenceCatalog(conferenceId = null) {
+        const distinctNames = async (table, column) => {
+            const params = [];
+            const scope = this.conferenceScope(conferenceId, params);
+            const rows = await this.allQuery(`
+                SELECT DISTINCT x.name
+                FROM sessions s
+                JOIN ${table} x ON s.${column} = x.id
+                WHERE 1=1${scope}
+                ORDER BY x.name
+            `, params);
+            return rows.map(row => row.name);
+        };
+
+        return {
+            sessionTypes: await distinctNames('session_types', 'session_type_id'),
+            topics: await distinctNames('topics', 'topic_id'),
+            venues: await distinctNames('venues', 'venue_id')
+        };
+    }
+
+    // Call records and transcripts
+    async createCall(call) {
+        await this.runQuery(
+            'INSERT OR IGNORE INTO calls (call_id, caller_number, conference_id, status, started_at) VALUES (?, ?, ?, ?, ?)',
+            [call.callId, call.callerNumber, call.conferenceId || null, call.status, call.startedAt.toISOString()]
+        );
+    }
+
+    async updateCall(callId, fields) {
+        // Only whitelisted columns can be updated
+        const columns = {
+            status: 'status',
+            acceptedAt: 'accepted_at',
+            endedAt: 'ended_at',
+            endReason: 'end_reason',
+            promptVersion: 'prompt_version'
+        };
+
+        const updates = [];
+        const params = [];
+        for (const [key, column] of Object.entries(columns)) {
+            if (fields[key] !== undefined) {
+                updates.push(`${column} = ?`);
+                params.push(fields[key] instanceof Date ? fields[key].toISOString() : fields[key]);
+            }
+        }
+
+        if (updates.length === 0) return;
+
+        params.push(callId);
+        await this.runQuery(`UPDATE calls SET ${updates.join(', ')} WHERE call_id = ?`, params);
+    }
+
+    async insertCallEvent(callId, event) {
+        await this.runQuery(`
+            INSERT INTO call_events (call_id, event_type, role, content, function_name, arguments, result_count, success)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [callId, event.eventType, event.role || null, event.content || null,
+             event.functionName || null, event.arguments ? JSON.stringify(event.arguments) : null,
+             event.resultCount ?? null, event.success === undefined ? null : (event.success ? 1 : 0)]
+        );
+    }
+
+    async getRecentCalls(limit = 50) {
+        const sql = `
+            SELECT c.*, COUNT(ce.id) as event_count
+            FROM calls c
+            LEFT JOIN call_events ce ON c.call_id = ce.call_id
+            GROUP BY c.call_id
+            ORDER BY c.started_at DESC
+            LIMIT ?
+        `;
+        return await this.allQuery(sql, [limit]);
+    }
+
+    async getCallWithEvents(callId) {
+        const call = await this.getQuery('SELECT * FROM calls WHERE call_id = ?', [callId]);
+        if (!call) return null;
+
+        call.events = await this.allQuery(
+            'SELECT * FROM call_events WHERE call_id = ? ORDER BY id',
+            [callId]
+        );
+        return call;
+    }
+
+    // Per prompt version: call count, average accepted-to-end duration and function call outcomes
+    async getPromptVersionStats() {
+        const sql = `
+            SELECT c.prompt_version as version,
+                   COUNT(*) as calls,
+                   AVG(CASE WHEN c.accepted_at IS NOT NULL AND c.ended_at IS NOT NULL
+                       THEN (julianday(c.ended_at) - julianday(c.accepted_at)) * 86400 END) as avg_duration_seconds,
+                   COALESCE(SUM(f.function_calls), 0) as function_calls,
+                   COALESCE(SUM(f.successful), 0) as successful_function_calls,
+                   COALESCE(SUM(f.successful_lookups), 0) as successful_lookups,
+                   COALESCE(SUM(f.zero_results), 0) as zero_result_calls
+            FROM calls c
+            LEFT JOIN (
+                SELECT call_id,
+                       COUNT(*) as function_calls,
+                       SUM(CASE WHEN success = 1 THEN 1 ELSE 0 END) as successful,
+                       SUM(CASE WHEN success = 1 AND result_count IS NOT NULL THEN 1 ELSE 0 END) as successful_lookups,
+                       SUM(CASE WHEN success = 1 AND result_count = 0 THEN 1 ELSE 0 END) as zero_results
+                FROM call_events
+                WHERE event_type = 'function_call'
+                GROUP BY call_id
+            ) f ON c.call_id = f.call_id
+            WHERE c.prompt_version IS NOT NULL
+            GROUP BY c.prompt_version
+            ORDER BY c.prompt_version
+        `;
+        return await this.allQuery(sql);
+    }
+
+    // Caller block/allow list
+    async getCallerListEntry(phoneNumber) {
+        return await this.getQuery('SELECT * FROM caller_list WHERE phone_number = ?', [phoneNumber]);
+    }
+
+    async getCallerList(listType = null) {
+        if (listType) {
+            return await this.allQuery('SELECT * FROM caller_list WHERE list_type = ? ORDER BY created_at DESC', [listType]);
+        }
+        return await this.allQuery('SELECT * FROM caller_list ORDER BY created_at DESC');
+    }
+
+    async upsertCallerListEntry(phoneNumber, listType, reason = null) {
+        await this.runQuery(`
+            INSERT INTO caller_list (phone_number, list_type, reason) VALUES (?, ?, ?)
+            ON CONFLICT (phone_number) DO UPDATE SET list_type = excluded.list_type, reason = excluded.reason`,
+            [phoneNumber, listType, reason]
+        );
+        return await this.getCallerListEntry(phoneNumber);
+    }
+
+    async removeCallerListEntry(phoneNumber) {
+        const result = await this.runQuery('DELETE FROM caller_list WHERE phone_number = ?', [phoneNumber]);
+        return result.changes > 0;
+    }
+
+    // Personal agendas, keyed by caller number
+    async getAgenda(callerNumber, conferenceId = null) {
+        return await this.findSessions({ agendaCaller: callerNumber, conferenceId });
+    }
+
+    async addAgendaSession(callerNumber, sessionId, conferenceId = null) {
+        const result = await this.runQuery(
+            'INSERT INTO attendee_agenda (caller_number, session_id, conference_id) VALUES (?, ?, ?) ON CONFLICT (caller_number, session_id) DO NOTHING',
+            [callerNumber, sessionId, conferenceId]
+        );
+        return result.changes > 0;
+    }
+
+    async removeAgendaSession(callerNumber, sessionId) {
+        const result = await this.runQuery(
+            'DELETE FROM attendee_agenda WHERE caller_number = ? AND session_id = ?',
+            [callerNumber, sessionId]
+        );
+        return result.changes > 0;
     }
 
     close() {
@@ -10,12 +10,17 @@ class LeadDevScraper {
         this.agendaUrl = 'https://leaddev.com/leaddev-new-york/agenda/';
     }
 
-    async scrapeConferenceData() {
-        console.log('Starting LeadDev conference data scrape...');
+    /**
+     * Scrape a conference agenda and store its sessions
+     * @param {Object} conference - Conference definition (optional - defaults to LeadDev New York)
+     */
+    async scrapeConferenceData(conference = null) {
+        const agendaUrl = conference?.agendaSource?.url || this.agendaUrl;
+        console.log(`Starting ${conference?.name || 'LeadDev'} conference data scrape from ${agendaUrl}...`);
         
         try {
             // Scrape the main agenda page
-            const response = await axios.get(this.agendaUrl, {
+            const response = await axios.get(agendaUrl, {
                 headers: {
                     'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
                 }
@@ -31,7 +36,7 @@ class LeadDevScraper {
             console.log(`Found ${sessions.length} sessions`);
             
             // Insert into database
-            await this.insertSessionsIntoDatabase(sessions);
+            await this.insertSessionsIntoDatabase(sessions, conference?.id || null);
             
             return sessions;
             
@@ -405,7 +410,7 @@ class LeadDevScraper {
                words.every(word => word[0] === word[0].toUpperCase());
     }
 
-    async insertSessionsIntoDatabase(sessions) {
+    async insertSessionsIntoDatabase(sessions, conferenceId = null) {
         if (!this.databaseManager) {
             console.log('No database manager provided, skipping insertion');
             return;
@@ -540,11 +545,25 @@ class LeadDevScraper {
                 const endTime = session.time ? session.time.end : new Date(Date.now() + 45 * 60 * 1000).toISOString();
 
                 const sessionResult = await this.databaseManager.runQuery(`
-                    INSERT INTO sessions (title, description, start_time, end_time, speaker_id, session_type_id, topic_id, sponsor_company_id, is_sponsored, venue_id)
-                    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
-                    [session.title, session.description, startTime, endTime, speakerId, sessionTypeId, topicId, sponsorCompanyId, !!sponsorCompanyId, defaultVenueId]
+                    INSERT INTO sessions (title, description, start_time, end_time, speaker_id, session_type_id, topic_id, sponsor_company_id, is_sponsored, venue_id, conference_id)
+                    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11) RETURNING id`,
+                    [session.title, session.description, startTime, endTime, speakerId, sessionTypeId, topicId, sponsorCompanyId, !!sponsorCompanyId, defaultVenueId, conferenceId]
                 );
 
+                // Link suitability levels so searches can filter on them
+                for (const level of session.suitability || []) {
+                    await this.databaseManager.runQuery(
+                        'INSERT INTO suitability_levels (name) VALUES ($1) ON CONFLICT (name) DO NOTHING',
+                        [level]
+                    );
+                    await this.databaseManager.runQuery(`
+                        INSERT INTO session_suitability (session_id, suitability_level_id)
+                        SELECT $1, id FROM suitability_levels WHERE name = $2
+                        ON CONFLICT DO NOTHING`,
+                        [sessionResult.id, level]
+                    );
+                }
+
                 console.log(`✅ Inserted session: ${session.title}`);
 
             } catch (error) {
@@ -554,9 +573,9 @@ class LeadDevScraper {
     }
 
     // Method to manually scrape and save data
-    async scrapeAndSave() {
+    async scrapeAndSave(conference = null) {
         try {
-            const sessions = await this.scrapeConferenceData();
+            const sessions = await this.scrapeConferenceData(conference);
             
             // Save scraped data to JSON file for backup
             const dataDir = path.join(__dirname, '../../data');
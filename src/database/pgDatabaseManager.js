@@ -1,4 +1,5 @@
 const { Pool } = require('pg');
+const { buildSessionSearch } = require('./sessionQueryBuilder');
 
 class PostgreSQLDatabaseManager {
     constructor() {
@@ -85,8 +86,75 @@ class PostgreSQLDatabaseManager {
                 sponsor_company_id INTEGER REFERENCES companies(id),
                 is_sponsored BOOLEAN DEFAULT false,
                 session_url TEXT,
+                conference_id TEXT,
                 created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-            )`
+            )`,
+
+            // Suitability levels (EXPERIENCED MANAGER, NEW MANAGER, TECH LEAD, SENIOR ENGINEER)
+            `CREATE TABLE IF NOT EXISTS suitability_levels (
+                id SERIAL PRIMARY KEY,
+                name TEXT UNIQUE NOT NULL,
+                description TEXT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )`,
+
+            `CREATE TABLE IF NOT EXISTS session_suitability (
+                session_id INTEGER REFERENCES sessions(id) ON DELETE CASCADE,
+                suitability_level_id INTEGER REFERENCES suitability_levels(id),
+                PRIMARY KEY (session_id, suitability_level_id)
+            )`,
+
+            `CREATE TABLE IF NOT EXISTS calls (
+                call_id TEXT PRIMARY KEY,
+                caller_number TEXT,
+                conference_id TEXT,
+                status TEXT,
+                started_at TIMESTAMP,
+                accepted_at TIMESTAMP,
+                ended_at TIMESTAMP,
+                end_reason TEXT,
+                prompt_version TEXT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )`,
+
+            `CREATE TABLE IF NOT EXISTS call_events (
+                id SERIAL PRIMARY KEY,
+                call_id TEXT NOT NULL REFERENCES calls(call_id) ON DELETE CASCADE,
+                event_type TEXT NOT NULL,
+                role TEXT,
+                content TEXT,
+                function_name TEXT,
+                arguments TEXT,
+                result_count INTEGER,
+                success BOOLEAN,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )`,
+
+            `CREATE INDEX IF NOT EXISTS idx_call_events_call_id ON call_events(call_id)`,
+
+            // Columns added after the first release - older databases need them too
+            `ALTER TABLE sessions ADD COLUMN IF NOT EXISTS conference_id TEXT`,
+            `ALTER TABLE calls ADD COLUMN IF NOT EXISTS conference_id TEXT`,
+            `ALTER TABLE calls ADD COLUMN IF NOT EXISTS prompt_version TEXT`,
+
+            `CREATE TABLE IF NOT EXISTS caller_list (
+                phone_number TEXT PRIMARY KEY,
+                list_type TEXT NOT NULL CHECK (list_type IN ('block', 'allow')),
+                reason TEXT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )`,
+
+            // Sessions each caller has saved, kept across calls
+            `CREATE TABLE IF NOT EXISTS attendee_agenda (
+                id SERIAL PRIMARY KEY,
+                caller_number TEXT NOT NULL,
+                conference_id TEXT,
+                session_id INTEGER NOT NULL REFERENCES sessions(id) ON DELETE CASCADE,
+                added_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (caller_number, session_id)
+            )`,
+
+            `CREATE INDEX IF NOT EXISTS idx_attendee_agenda_caller ON attendee_agenda(caller_number)`
         ];
 
         for (const query of queries) {
@@ -127,8 +195,25 @@ class PostgreSQLDatabaseManager {
         }
     }
 
+    // Restrict a session query to one conference (no-op when conferenceId is null)
+    conferenceScope(conferenceId, params) {
+        if (!conferenceId) return '';
+        params.push(conferenceId);
+        return ` AND s.conference_id = $${params.length}`;
+    }
+
+    // Attach sessions that predate conference scoping to the default conference
+    async assignUnscopedSessions(conferenceId) {
+        const result = await this.pgPool.query('UPDATE sessions SET conference_id = $1 WHERE conference_id IS NULL', [conferenceId]);
+        if (result.rowCount > 0) {
+            console.log(`Assigned ${result.rowCount} unscoped session(s) to conference ${conferenceId}`);
+        }
+    }
+
     // Conference-specific query methods
-    async getAllSessions() {
+    async getAllSessions(conferenceId = null) {
+        const params = [];
+        const scope = this.conferenceScope(conferenceId, params);
         const sql = `
             SELECT s.*, 
                    sp.name as speaker_name, sp.title as speaker_title, sp.company as speaker_company,
@@ -142,13 +227,16 @@ class PostgreSQLDatabaseManager {
             LEFT JOIN topics t ON s.topic_id = t.id
             LEFT JOIN venues v ON s.venue_id = v.id
             LEFT JOIN companies sc ON s.sponsor_company_id = sc.id
+            WHERE 1=1${scope}
             ORDER BY s.start_time
         `;
-        return await this.allQuery(sql);
+        return await this.allQuery(sql, params);
     }
 
-    async getCurrentSessions() {
+    async getCurrentSessions(conferenceId = null) {
         const now = new Date().toISOString();
+        const params = [now, now];
+        const scope = this.conferenceScope(conferenceId, params);
         const sql = `
             SELECT s.*, 
                    sp.name as speaker_name, sp.title as speaker_title, sp.company as speaker_company,
@@ -160,14 +248,71 @@ class PostgreSQLDatabaseManager {
             LEFT JOIN session_types st ON s.session_type_id = st.id
             LEFT JOIN topics t ON s.topic_id = t.id
             LEFT JOIN venues v ON s.venue_id = v.id
-            WHERE s.start_time <= $1 AND s.end_time >= $2
+            WHERE s.start_time <= $1 AND s.end_time >= $2${scope}
             ORDER BY s.start_time
         `;
-        return await this.allQuery(sql, [now, now]);
+        return await this.allQuery(sql, params);
     }
 
-    async getUpcomingSessions(limit = 5) {
+    async getUpcomingSessions(limit = 5, conferenceId = null) {
         const now = new Date().toISOString();
+        const params = [now];
+        const scope = this.conferenceScope(conferenceId, params);
+        params.push(limit);
+        const sql = `
+            SELECT s.*, 
+                   sp.name as speaker_name, sp.title as speaker_title, sp.company as speaker_company,
+                   st.name as session_type, 
+                   t.name as topic_name, 
+                   v.name as venue_name
+            FROM sessions s
+            LEFT JOIN speakers sp ON s.speaker_id = sp.id
+            LEFT JOIN session_types st ON s.session_type_id = st.id
+            LEFT JOIN topics t ON s.topic_id = t.id
+            LEFT JOIN venues v ON s.venue_id = v.id
+            WHERE s.start_time > $1${scope}
+            ORDER BY s.start_time
+            LIMIT $${params.length}
+        `;
+        return await this.allQuery(sql, params);
+    }
+
+    // Combined multi-filter search (see sessionQueryBuilder for the filters)
+    async findSessions(filters = {}) {
+        const { sql, params } = buildSessionSearch(filters, 'postgres');
+        return await this.allQuery(sql, params);
+    }
+
+    // Sessions running at any point in [windowStart, windowEnd] (pass the same value twice for an instant)
+    async getSessionsInWindow(windowStart, windowEnd, conferenceId = null) {
+        const params = [windowEnd, windowStart];
+        const scope = this.conferenceScope(conferenceId, params);
+        const sql = `
+            SELECT s.*, 
+                   sp.name as speaker_name, sp.title as speaker_title, sp.company as speaker_company,
+                   st.name as session_type, 
+                   t.name as topic_name, 
+                   v.name as venue_name
+            FROM sessions s
+            LEFT JOIN speakers sp ON s.speaker_id = sp.id
+            LEFT JOIN session_types st ON s.session_type_id = st.id
+            LEFT JOIN topics t ON s.topic_id = t.id
+            LEFT JOIN venues v ON s.venue_id = v.id
+            WHERE s.start_time <= $1 AND s.end_time > $2${scope}
+            ORDER BY s.start_time
+        `;
+        return await this.allQuery(sql, params);
+    }
+
+    // Sessions in one venue still running after windowStart, optionally only those starting by windowEnd
+    async getSessionsByVenue(venueId, windowStart, windowEnd = null, conferenceId = null) {
+        const params = [venueId, windowStart];
+        let windowFilter = '';
+        if (windowEnd) {
+            params.push(windowEnd);
+            windowFilter = ` AND s.start_time <= $${params.length}`;
+        }
+        const scope = this.conferenceScope(conferenceId, params);
         const sql = `
             SELECT s.*, 
                    sp.name as speaker_name, sp.title as speaker_title, sp.company as speaker_company,
@@ -179,17 +324,54 @@ class PostgreSQLDatabaseManager {
             LEFT JOIN session_types st ON s.session_type_id = st.id
             LEFT JOIN topics t ON s.topic_id = t.id
             LEFT JOIN venues v ON s.venue_id = v.id
-            WHERE s.start_time > $1
+            WHERE s.venue_id = $1 AND s.end_time > $2${windowFilter}${scope}
             ORDER BY s.start_time
-            LIMIT $2
         `;
-        return await this.allQuery(sql, [now, limit]);
+        return await this.allQuery(sql, params);
+    }
+
+    // Venues with sessions in a conference (every venue when conferenceId is null)
+    async getVenues(conferenceId = null) {
+        const params = [];
+        const scope = this.conferenceScope(conferenceId, params);
+        const sql = conferenceId
+            ? `
+                SELECT DISTINCT v.id, v.name, v.capacity, v.location_description
+                FROM venues v
+                JOIN sessions s ON s.venue_id = v.id
+                WHERE 1=1${scope}
+                ORDER BY v.name
+            `
+            : 'SELECT id, name, capacity, location_description FROM venues ORDER BY name';
+        return await this.allQuery(sql, params);
+    }
+
+    // Distinct session types, topics and venues used by a conference's sessions
+    async getConferenceCatalog(conferenceId = null) {
+        const distinctNames = async (table, column) => {
+            const params = [];
+            const scope = this.conferenceScope(conferenceId, params);
+            const rows = await this.allQuery(`
+                SELECT DISTINCT x.name
+                FROM sessions s
+                JOIN ${table} x ON s.${column} = x.id
+                WHERE 1=1${scope}
+                ORDER BY x.name
+            `, params);
+            return rows.map(row => row.name);
+        };
+
+        return {
+            sessionTypes: await distinctNames('session_types', 'session_type_id'),
+            topics: await distinctNames('topics', 'topic_id'),
+            venues: await distinctNames('venues', 'venue_id')
+        };
     }
 
     async insertSession(sessionData) {
         const sql = `
-            INSERT INTO sessions (title, description, start_time, end_time, venue_id, speaker_id, session_type_id, topic_id, sponsor_company_id, is_sponsored)
-            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+            INSERT INTO sessions (title, description, start_time, end_time, venue_id, speaker_id, session_type_id, topic_id, sponsor_company_id, is_sponsored, conference_id)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
             RETURNING id
         `;
         const result = await this.pgPool.query(sql, [
@@ -202,7 +384,8 @@ class PostgreSQLDatabaseManager {
             sessionData.session_type_id,
             sessionData.topic_id,
             sessionData.sponsor_company_id,
-            sessionData.is_sponsored || false
+            sessionData.is_sponsored || false,
+            sessionData.conference_id || null
         ]);
         return result.rows[0];
     }
@@ -258,6 +441,155 @@ class PostgreSQLDatabaseManager {
         return result.rows[0];
     }
 
+    // Call records and transcripts
+    async createCall(call) {
+        await this.pgPool.query(
+            'INSERT INTO calls (call_id, caller_number, conference_id, status, started_at) VALUES ($1, $2, $3, $4, $5) ON CONFLICT (call_id) DO NOTHING',
+            [call.callId, call.callerNumber, call.conferenceId || null, call.status, call.startedAt]
+        );
+    }
+
+    async updateCall(callId, fields) {
+        // Only whitelisted columns can be updated
+        const columns = {
+            status: 'status',
+            acceptedAt: 'accepted_at',
+            endedAt: 'ended_at',
+            endReason: 'end_reason',
+            promptVersion: 'prompt_version'
+        };
+
+        const updates = [];
+        const params = [];
+        for (const [key, column] of Object.entries(columns)) {
+            if (fields[key] !== undefined) {
+                params.push(fields[key]);
+                updates.push(`${column} = $${params.length}`);
+            }
+        }
+
+        if (updates.length === 0) return;
+
+        params.push(callId);
+        await this.pgPool.query(`UPDATE calls SET ${updates.join(', ')} WHERE call_id = $${params.length}`, params);
+    }
+
+    async insertCallEvent(callId, event) {
+        const sql = `
+            INSERT INTO call_events (call_id, event_type, role, content, function_name, arguments, result_count, success)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        `;
+        await this.pgPool.query(sql, [
+            callId,
+            event.eventType,
+            event.role || null,
+            event.content || null,
+            event.functionName || null,
+            event.arguments ? JSON.stringify(event.arguments) : null,
+            event.resultCount ?? null,
+            event.success ?? null
+        ]);
+    }
+
+    async getRecentCalls(limit = 50) {
+        const sql = `
+            SELECT c.*, COUNT(ce.id)::int as event_count
+            FROM calls c
+            LEFT JOIN call_events ce ON c.call_id = ce.call_id
+            GROUP BY c.call_id
+            ORDER BY c.started_at DESC
+            LIMIT $1
+        `;
+        return await this.allQuery(sql, [limit]);
+    }
+
+    async getCallWithEvents(callId) {
+        const call = await this.getQuery('SELECT * FROM calls WHERE call_id = $1', [callId]);
+        if (!call) return null;
+
+        call.events = await this.allQuery(
+            'SELECT * FROM call_events WHERE call_id = $1 ORDER BY id',
+            [callId]
+        );
+        return call;
+    }
+
+    // Per prompt version: call count, average accepted-to-end duration and function call outcomes
+    async getPromptVersionStats() {
+        const sql = `
+            SELECT c.prompt_version as version,
+                   COUNT(*)::int as calls,
+                   AVG(EXTRACT(EPOCH FROM (c.ended_at - c.accepted_at)))::float as avg_duration_seconds,
+                   COALESCE(SUM(f.function_calls), 0)::int as function_calls,
+                   COALESCE(SUM(f.successful), 0)::int as successful_function_calls,
+                   COALESCE(SUM(f.successful_lookups), 0)::int as successful_lookups,
+                   COALESCE(SUM(f.zero_results), 0)::int as zero_result_calls
+            FROM calls c
+            LEFT JOIN (
+                SELECT call_id,
+                       COUNT(*) as function_calls,
+                       SUM(CASE WHEN success THEN 1 ELSE 0 END) as successful,
+                       SUM(CASE WHEN success AND result_count IS NOT NULL THEN 1 ELSE 0 END) as successful_lookups,
+                       SUM(CASE WHEN success AND result_count = 0 THEN 1 ELSE 0 END) as zero_results
+                FROM call_events
+                WHERE event_type = 'function_call'
+                GROUP BY call_id
+            ) f ON c.call_id = f.call_id
+            WHERE c.prompt_version IS NOT NULL
+            GROUP BY c.prompt_version
+            ORDER BY c.prompt_version
+        `;
+        return await this.allQuery(sql);
+    }
+
+    // Caller block/allow list
+    async getCallerListEntry(phoneNumber) {
+        return await this.getQuery('SELECT * FROM caller_list WHERE phone_number = $1', [phoneNumber]);
+    }
+
+    async getCallerList(listType = null) {
+        if (listType) {
+            return await this.allQuery('SELECT * FROM caller_list WHERE list_type = $1 ORDER BY created_at DESC', [listType]);
+        }
+        return await this.allQuery('SELECT * FROM caller_list ORDER BY created_at DESC');
+    }
+
+    async upsertCallerListEntry(phoneNumber, listType, reason = null) {
+        const result = await this.pgPool.query(`
+            INSERT INTO caller_list (phone_number, list_type, reason) VALUES ($1, $2, $3)
+            ON CONFLICT (phone_number) DO UPDATE SET list_type = EXCLUDED.list_type, reason = EXCLUDED.reason
+            RETURNING *`,
+            [phoneNumber, listType, reason]
+        );
+        return result.rows[0];
+    }
+
+    async removeCallerListEntry(phoneNumber) {
+        const result = await this.pgPool.query('DELETE FROM caller_list WHERE phone_number = $1', [phoneNumber]);
+        return result.rowCount > 0;
+    }
+
+    // Personal agendas, keyed by caller number
+    async getAgenda(callerNumber, conferenceId = null) {
+        return await this.findSessions({ agendaCaller: callerNumber, conferenceId });
+    }
+
+    async addAgendaSession(callerNumber, sessionId, conferenceId = null) {
+        const result = await this.runQuery(
+            'INSERT INTO attendee_agenda (caller_number, session_id, conference_id) VALUES ($1, $2, $3) ON CONFLICT (caller_number, session_id) DO NOTHING',
+            [callerNumber, sessionId, conferenceId]
+        );
+        return result.changes > 0;
+    }
+
+    async removeAgendaSession(callerNumber, sessionId) {
+        const result = await this.runQuery(
+            'DELETE FROM attendee_agenda WHERE caller_number = $1 AND session_id = $2',
+            [callerNumber, sessionId]
+        );
+        return result.changes > 0;
+    }
+
     async clearAllSessions() {
         await this.pgPool.query('DELETE FROM sessions');
         console.log('Cleared all sessions from PostgreSQL database');
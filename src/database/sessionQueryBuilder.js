@@ -0,0 +1,95 @@
+/**
+ * Session Query Builder
+ * Builds the parameterized multi-filter session search used by both database managers,
+ * so SQLite and PostgreSQL run the same query apart from placeholders and string aggregation
+ */
+
+/**
+ * Build the SQL for a combined session search
+ * Every filter is optional; text filters match case-insensitively anywhere in the field
+ * @param {Object} filters - { conferenceId, sessionId, topic, sessionType, speaker, windowStart, windowEnd,
+ *   suitability, venueId, sponsored (true/false), agendaCaller (sessions on that caller's agenda), limit }
+ * @param {string} dialect - 'sqlite' or 'postgres'
+ * @returns {Object} { sql, params }
+ */
+function buildSessionSearch(filters = {}, dialect = 'sqlite') {
+    const params = [];
+    const conditions = [];
+
+    // Add a parameter and return its placeholder
+    const param = value => {
+        params.push(value);
+        return dialect === 'postgres' ? `$${params.length}` : '?';
+    };
+    const like = value => param(`%${value}%`);
+
+    if (filters.conferenceId) {
+        conditions.push(`s.conference_id = ${param(filters.conferenceId)}`);
+    }
+    if (filters.sessionId) {
+        conditions.push(`s.id = ${param(filters.sessionId)}`);
+    }
+    if (filters.topic) {
+        // One parameter per use - SQLite's "?" placeholders can't be referenced twice
+        conditions.push(`(LOWER(t.name) LIKE LOWER(${like(filters.topic)}) OR LOWER(s.title) LIKE LOWER(${like(filters.topic)}) OR LOWER(s.description) LIKE LOWER(${like(filters.topic)}))`);
+    }
+    if (filters.sessionType) {
+        conditions.push(`LOWER(st.name) LIKE LOWER(${like(filters.sessionType)})`);
+    }
+    if (filters.speaker) {
+        conditions.push(`LOWER(sp.name) LIKE LOWER(${like(filters.speaker)})`);
+    }
+
+    // Sessions overlapping the window (an instant when start and end are the same)
+    if (filters.windowEnd) {
+        conditions.push(`s.start_time <= ${param(filters.windowEnd)}`);
+    }
+    if (filters.windowStart) {
+        conditions.push(`s.end_time > ${param(filters.windowStart)}`);
+    }
+
+    if (filters.suitability) {
+        conditions.push(`EXISTS (SELECT 1 FROM session_suitability ss2 JOIN suitability_levels sl2 ON ss2.suitability_level_id = sl2.id` +
+            ` WHERE ss2.session_id = s.id AND LOWER(sl2.name) = LOWER(${param(filters.suitability)}))`);
+    }
+    if (filters.venueId) {
+        conditions.push(`s.venue_id = ${param(filters.venueId)}`);
+    }
+    if (filters.sponsored === true) {
+        conditions.push(`s.is_sponsored = ${param(true)}`);
+    } else if (filters.sponsored === false) {
+        conditions.push(`(s.is_sponsored IS NULL OR s.is_sponsored = ${param(false)})`);
+    }
+
+    if (filters.agendaCaller) {
+        conditions.push(`EXISTS (SELECT 1 FROM attendee_agenda aa WHERE aa.session_id = s.id AND aa.caller_number = ${param(filters.agendaCaller)})`);
+    }
+
+    const suitabilityLevels = dialect === 'postgres' ? 'STRING_AGG(DISTINCT sl.name, \',\')' : 'GROUP_CONCAT(DISTINCT sl.name)';
+    const limit = filters.limit ? `\n            LIMIT ${param(filters.limit)}` : '';
+
+    const sql = `
+            SELECT s.*,
+                   sp.name as speaker_name, sp.title as speaker_title, sp.company as speaker_company,
+                   st.name as session_type,
+                   t.name as topic_name,
+                   v.name as venue_name,
+                   sc.name as sponsor_company_name,
+                   ${suitabilityLevels} as suitability_levels
+            FROM sessions s
+            LEFT JOIN speakers sp ON s.speaker_id = sp.id
+            LEFT JOIN session_types st ON s.session_type_id = st.id
+            LEFT JOIN topics t ON s.topic_id = t.id
+            LEFT JOIN venues v ON s.venue_id = v.id
+            LEFT JOIN companies sc ON s.sponsor_company_id = sc.id
+            LEFT JOIN session_suitability ss ON s.id = ss.session_id
+            LEFT JOIN suitability_levels sl ON ss.suitability_level_id = sl.id
+            WHERE ${conditions.length > 0 ? conditions.join('\n              AND ') : '1=1'}
+            GROUP BY s.id, sp.name, sp.title, sp.company, st.name, t.name, v.name, sc.name
+            ORDER BY s.start_time${limit}
+        `;
+
+    return { sql, params };
+}
+
+module.exports = { buildSessionSearch };
@@ -0,0 +1,157 @@
+const crypto = require('crypto');
+
+/**
+ * Webhook Signature Verifier
+ * Checks OpenAI webhook signatures (webhook-id / webhook-timestamp / webhook-signature
+ * headers), rejects stale timestamps and replays of already-seen event ids
+ */
+
+class WebhookVerifier {
+    constructor(secret = process.env.OPENAI_WEBHOOK_SECRET, options = {}) {
+        this.secret = secret;
+        this.key = secret ? this.decodeSecret(secret) : null;
+
+        // Accept timestamps within +/- 5 minutes by default
+        this.toleranceSeconds = parseInt(options.toleranceSeconds ?? process.env.WEBHOOK_TOLERANCE_SECONDS ?? 300);
+
+        // Event ids being handled or already handled successfully, mapped to when they expire
+        this.seenEventIds = new Map();
+
+        if (!this.key && !this.getConfigurationError()) {
+            console.warn('⚠️  OPENAI_WEBHOOK_SECRET not set - webhook signatures will NOT be verified');
+        }
+
+        // Clean up expired event ids every minute
+        this.cleanupInterval = setInterval(() => {
+            this.cleanupSeenEventIds();
+        }, 60 * 1000);
+        this.cleanupInterval.unref();
+    }
+
+    /**
+     * Why this configuration must not run, if it mustn't - checked at startup
+     * Unsigned webhooks can trigger function calls and call control, so production requires a secret
+     * @returns {string|null} Error message, or null when the configuration is acceptable
+     */
+    getConfigurationError() {
+        if (!this.key && process.env.NODE_ENV === 'production') {
+            return 'OPENAI_WEBHOOK_SECRET must be set when NODE_ENV=production';
+        }
+        return null;
+    }
+
+    /**
+     * Decode a "whsec_"-prefixed base64 secret into the raw HMAC key
+     */
+    decodeSecret(secret) {
+        if (secret.startsWith('whsec_')) {
+            return Buffer.from(secret.slice('whsec_'.length), 'base64');
+        }
+        return Buffer.from(secret, 'utf8');
+    }
+
+    /**
+     * Verify a webhook request
+     * @param {Object} headers - Request headers (lower-cased, as provided by Express)
+     * @param {Buffer|string} rawBody - Exact request body that was signed
+     * @returns {Object} { valid: boolean, reason?: string, eventId?: string }
+     */
+    verify(headers, rawBody) {
+        const eventId = headers['webhook-id'];
+        const timestamp = headers['webhook-timestamp'];
+        const signatureHeader = headers['webhook-signature'];
+
+        if (!eventId || !timestamp || !signatureHeader) {
+            return { valid: false, reason: 'missing signature headers', eventId };
+        }
+
+        if (rawBody === undefined || rawBody === null) {
+            return { valid: false, reason: 'missing raw body', eventId };
+        }
+
+        // Reject timestamps outside the tolerance window
+        const timestampSeconds = parseInt(timestamp);
+        const nowSeconds = Math.floor(Date.now() / 1000);
+        if (isNaN(timestampSeconds) || Math.abs(nowSeconds - timestampSeconds) > this.toleranceSeconds) {
+            return { valid: false, reason: 'timestamp outside tolerance window', eventId };
+        }
+
+        // Compute the expected signature over "id.timestamp.body"
+        const signedContent = `${eventId}.${timestamp}.${rawBody.toString()}`;
+        const expected = crypto.createHmac('sha256', this.key).update(signedContent).digest();
+
+        // Header may carry several space-separated "v1,<base64>" signatures (e.g. during secret rotation)
+        const matched = signatureHeader.split(' ').some(entry => {
+            const [version, signature] = entry.split(',');
+            if (version !== 'v1' || !signature) return false;
+
+            const provided = Buffer.from(signature, 'base64');
+            return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+        });
+
+        if (!matched) {
+            return { valid: false, reason: 'signature mismatch', eventId };
+        }
+
+        // Replay protection - each event id is only accepted once (released again if handling fails, see middleware)
+        if (this.seenEventIds.has(eventId)) {
+            return { valid: false, reason: 'replayed event id', eventId };
+        }
+        this.seenEventIds.set(eventId, Date.now() + this.toleranceSeconds * 2 * 1000);
+
+        return { valid: true, eventId };
+    }
+
+    /**
+     * Express middleware that rejects unverified requests with a 401
+     * Requires express.json() to be set up with a verify hook that stores req.rawBody
+     * An event whose handler doesn't answer 2xx is forgotten again, so OpenAI's retry with the same
+     * webhook-id is accepted rather than rejected as a replay
+     */
+    middleware() {
+        return (req, res, next) => {
+            if (!this.key) {
+                return next();
+            }
+
+            const result = this.verify(req.headers, req.rawBody);
+            if (!result.valid) {
+                console.warn(`🚫 Rejected webhook ${req.method} ${req.path} from ${req.ip}: ${result.reason}` +
+                    (result.eventId ? ` (event ${result.eventId})` : ''));
+                return res.status(401).json({ error: 'Invalid webhook signature' });
+            }
+
+            res.on('finish', () => {
+                if (res.statusCode < 200 || res.statusCode >= 300) {
+                    this.seenEventIds.delete(result.eventId);
+                }
+            });
+
+            next();
+        };
+    }
+
+    /**
+     * Remove event ids whose replay window has passed
+     */
+    cleanupSeenEventIds() {
+        const now = Date.now();
+        for (const [eventId, expiresAt] of this.seenEventIds.entries()) {
+            if (expiresAt < now) {
+                this.seenEventIds.delete(eventId);
+            }
+        }
+    }
+
+    /**
+     * Shutdown verifier and cleanup
+     */
+    shutdown() {
+        if (this.cleanupInterval) {
+            clearInterval(this.cleanupInterval);
+        }
+        this.seenEventIds.clear();
+    }
+}
+
+module.exports = WebhookVerifier;
@@ -3,6 +3,9 @@
  * Handles follow-up questions and maintains conversation state for natural dialogue
  */
 
+// Functions that pick one session out of earlier results to change the caller's agenda
+const AGENDA_CHANGES = ['add_to_agenda', 'remove_from_agenda'];
+
 class ContextManager {
     constructor() {
         // Store conversation contexts by call/session ID
@@ -10,6 +13,11 @@ class ContextManager {
         
         // Context expires after 10 minutes of inactivity
         this.CONTEXT_TIMEOUT = 10 * 60 * 1000; // 10 minutes
+
+        // Optional memory of returning callers, keyed by caller number
+        this.callerMemoryEnabled = process.env.CALLER_MEMORY_ENABLED === 'true';
+        this.callerMemory = new Map();
+        this.CALLER_MEMORY_RETENTION = parseFloat(process.env.CALLER_MEMORY_RETENTION_HOURS || 24) * 60 * 60 * 1000;
         
         // Clean up expired contexts every 5 minutes
         this.cleanupInterval = setInterval(() => {
@@ -87,8 +95,11 @@ class ContextManager {
             timestamp: new Date()
         };
 
-        // Update last results for easy reference
-        context.lastResults = results.data || [];
+        // Update last results for easy reference - except after an agenda change, so the caller
+        // can keep picking from the same list ("add the first one... and the third")
+        if (!(AGENDA_CHANGES.includes(functionName) && results.success)) {
+            context.lastResults = results.data || [];
+        }
 
         // Extract and remember entities from this interaction
         this.extractEntities(context, parameters, results);
@@ -96,9 +107,111 @@ class ContextManager {
         // Update current topic
         this.updateCurrentTopic(context, functionName, parameters);
 
+        // Carry what we learned over to the caller's memory
+        this.rememberCaller(context);
+
         return context;
     }
 
+    /**
+     * Link a conversation to a caller number and restore what we remember about them
+     * @param {string} sessionId - Session identifier
+     * @param {string} callerNumber - Normalized caller number
+     * @returns {Object|null} Memory from the caller's previous calls, or null for new callers
+     */
+    linkCaller(sessionId, callerNumber) {
+        if (!this.callerMemoryEnabled || !callerNumber || callerNumber === 'unknown') {
+            return null;
+        }
+
+        const context = this.getContext(sessionId);
+        context.callerNumber = callerNumber;
+
+        const previous = this.getCallerMemory(callerNumber);
+        if (previous) {
+            // Seed the new conversation so "that speaker" etc. still resolve
+            previous.mentionedSpeakers.forEach(speaker => context.mentionedSpeakers.add(speaker));
+            previous.topics.forEach(topic => context.recentSearchTerms.add(topic));
+            context.userPreferences = { ...previous.userPreferences };
+        }
+
+        const snapshot = previous ? { ...previous } : null;
+
+        this.callerMemory.set(callerNumber, {
+            callerNumber,
+            firstCallAt: previous?.firstCallAt || new Date(),
+            lastCallAt: new Date(),
+            callCount: (previous?.callCount || 0) + 1,
+            mentionedSpeakers: previous?.mentionedSpeakers || [],
+            topics: previous?.topics || [],
+            lastTopic: previous?.lastTopic || null,
+            lastResults: previous?.lastResults || [],
+            userPreferences: previous?.userPreferences || {}
+        });
+
+        return snapshot;
+    }
+
+    /**
+     * Get remembered details for a caller, if within the retention period
+     */
+    getCallerMemory(callerNumber) {
+        const memory = this.callerMemory.get(callerNumber);
+        if (!memory) return null;
+
+        if (new Date() - memory.lastCallAt > this.CALLER_MEMORY_RETENTION) {
+            this.callerMemory.delete(callerNumber);
+            return null;
+        }
+
+        return memory;
+    }
+
+    /**
+     * Copy the conversation's entities into the linked caller's memory
+     */
+    rememberCaller(context) {
+        if (!context.callerNumber) return;
+
+        const memory = this.callerMemory.get(context.callerNumber);
+        if (!memory) return;
+
+        memory.lastCallAt = new Date();
+        memory.mentionedSpeakers = Array.from(context.mentionedSpeakers).slice(-10);
+        memory.topics = Array.from(context.recentSearchTerms).slice(-10);
+        memory.lastTopic = context.currentTopic || memory.lastTopic;
+        memory.userPreferences = { ...context.userPreferences };
+
+        // Keep just enough of the last results to refer back to them
+        if (context.lastResults.length > 0) {
+            memory.lastResults = context.lastResults.slice(0, 5).map(item => ({
+                id: item.id,
+                title: item.title,
+                speaker: item.speaker?.name || null,
+                start_time: item.start_time
+            }));
+        }
+    }
+
+    /**
+     * Summarize a returning caller's previous interests (for greetings)
+     * @param {Object} memory - Memory returned by linkCaller()
+     * @returns {string|null} e.g. "ai and leadership", or null when there's nothing worth mentioning
+     */
+    summarizeCallerInterests(memory) {
+        if (!memory) return null;
+
+        const interests = [];
+        if (memory.lastTopic) {
+            interests.push(memory.lastTopic.replace(/^(speaker|type): /, ''));
+        }
+        memory.topics.slice(-2).reverse().forEach(topic => {
+            if (!interests.includes(topic)) interests.push(topic);
+        });
+
+        return interests.length > 0 ? interests.slice(0, 2).join(' and ') : null;
+    }
+
     /**
      * Extract entities from parameters and results to remember for context
      */
@@ -119,6 +232,14 @@ class ContextManager {
             context.recentSearchTerms.add(parameters.query.toLowerCase());
         }
 
+        // Remember who the caller is and what they care about, for recommendations
+        if (parameters.role || parameters.suitability) {
+            context.userPreferences.role = parameters.role || parameters.suitability;
+        }
+        if (parameters.interests) {
+            context.userPreferences.interests = parameters.interests;
+        }
+
         // Extract entities from results
         if (results.data && Array.isArray(results.data)) {
             results.data.forEach(item => {
@@ -181,6 +302,7 @@ class ContextManager {
 
         // Handle different types of contextual references
         enhancedParams = this.resolveFollowUpQueries(context, functionName, enhancedParams);
+        enhancedParams = this.resolvePreferences(context, functionName, enhancedParams);
         enhancedParams = this.resolveContextualReferences(context, enhancedParams);
         enhancedParams = this.resolveRelativeReferences(context, enhancedParams);
 
@@ -195,12 +317,24 @@ class ContextManager {
             return parameters;
         }
 
+        // Agenda changes: "add the second one" → that exact session, by id (titles aren't unique).
+        // Only a bare ordinal phrase counts - "My first 90 days as a manager" is a title
+        if (AGENDA_CHANGES.includes(functionName) && !parameters.session_id) {
+            const ordinalMatch = this.extractStandaloneOrdinal(String(parameters.session_query || ''));
+            const targetSession = ordinalMatch !== null ? this.getSessionByOrdinal(context.lastResults, ordinalMatch) : null;
+            if (targetSession?.id) {
+                const { session_query, ...rest } = parameters;
+                return { ...rest, session_id: targetSession.id };
+            }
+            return parameters;
+        }
+
         // Handle ordinal references (first, second, last, etc.)
         if (functionName === 'get_session_details') {
-            const sessionQuery = parameters.session_query || '';
+            const sessionQuery = String(parameters.session_query || '');
             const ordinalMatch = this.extractOrdinalReference(sessionQuery);
             
-            if (ordinalMatch) {
+            if (ordinalMatch !== null) {
                 const targetSession = this.getSessionByOrdinal(context.lastResults, ordinalMatch);
                 if (targetSession) {
                     return {
@@ -225,6 +359,31 @@ class ContextManager {
         return parameters;
     }
 
+    /**
+     * Fill in the caller's role and interests for recommendations from what they said earlier
+     * ("what should I go to next?" after "I'm a new manager interested in hiring")
+     */
+    resolvePreferences(context, functionName, parameters) {
+        if (functionName !== 'recommend_sessions') {
+            return parameters;
+        }
+
+        const resolved = { ...parameters };
+        if (!resolved.role && context.userPreferences.role) {
+            resolved.role = context.userPreferences.role;
+        }
+        if (!resolved.interests) {
+            // Otherwise the topic they last searched for (not "speaker: ..." or "current sessions")
+            const searchedTopic = context.currentTopic &&
+                !/^(speaker: |type: |(current|upcoming) sessions$)/.test(context.currentTopic) ? context.currentTopic : null;
+            const topic = context.userPreferences.interests || searchedTopic;
+            if (topic) {
+                resolved.interests = topic;
+            }
+        }
+        return resolved;
+    }
+
     /**
      * Extract ordinal references like "first", "second", "last"
      */
@@ -244,6 +403,26 @@ class ContextManager {
         return null;
     }
 
+    /**
+     * Ordinal index when the whole text is an ordinal phrase ("the first one", "second", "number two", "the last session")
+     * @returns {number|null} Index (-1 for last), or null when the text says more than that
+     */
+    extractStandaloneOrdinal(text) {
+        const ordinals = {
+            first: 0, second: 1, third: 2, fourth: 3, fifth: 4,
+            '1st': 0, '2nd': 1, '3rd': 2, '4th': 3, '5th': 4,
+            last: -1
+        };
+        const numbers = { one: 0, two: 1, three: 2, four: 3, five: 4 };
+
+        const match = text.toLowerCase().trim()
+            .match(/^(?:the\s+)?(?:(first|second|third|fourth|fifth|1st|2nd|3rd|4th|5th|last)|(?:number|no\.?|#)\s*(one|two|three|four|five|\d))(?:\s+(?:one|session|talk|item))?$/);
+        if (!match) return null;
+
+        if (match[1]) return ordinals[match[1]];
+        return match[2] in numbers ? numbers[match[2]] : Number(match[2]) - 1;
+    }
+
     /**
      * Get session by ordinal position
      */
@@ -401,6 +580,13 @@ class ContextManager {
         if (expiredSessions.length > 0) {
             console.log(`Context cleanup: removed ${expiredSessions.length} expired sessions`);
         }
+
+        // Forget callers past the retention period
+        for (const [callerNumber, memory] of this.callerMemory.entries()) {
+            if (now - memory.lastCallAt > this.CALLER_MEMORY_RETENTION) {
+                this.callerMemory.delete(callerNumber);
+            }
+        }
     }
 
     /**
@@ -417,6 +603,13 @@ class ContextManager {
         return this.contexts.size;
     }
 
+    /**
+     * Get remembered caller count for monitoring
+     */
+    getRememberedCallerCount() {
+        return this.callerMemory.size;
+    }
+
     /**
      * Get all active sessions (for admin/debugging)
      */
@@ -442,6 +635,7 @@ class ContextManager {
             clearInterval(this.cleanupInterval);
         }
         this.contexts.clear();
+        this.callerMemory.clear();
         console.log('Context manager shut down');
     }
 }
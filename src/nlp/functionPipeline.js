@@ -0,0 +1,146 @@
+const { validateArguments } = require('./schemaValidator');
+
+/**
+ * Function Pipeline
+ * The one path every function call takes - webhook, sideband socket or demo endpoint:
+ * parse arguments, resolve follow-up references from the conversation context, validate against
+ * the declared schema, execute, record the results in the context, then log for analytics
+ */
+
+class FunctionPipeline {
+    /**
+     * @param {RealtimeFunctions} realtimeFunctions - Function implementations
+     * @param {ContextManager} contextManager - Per-conversation context for follow-up questions
+     * @param {Function} logger - Called with (sessionId, functionName, parameters, result, source) after every call
+     */
+    constructor(realtimeFunctions, contextManager, logger = null) {
+        this.realtimeFunctions = realtimeFunctions;
+        this.contextManager = contextManager;
+        this.logger = logger;
+    }
+
+    /**
+     * Run a function call end to end
+     * Never throws - bad arguments come back as an unsuccessful result the model can recover from
+     * @param {Object} call - { sessionId, functionName, arguments (JSON string or object), context, query, source }
+     *   context is passed to executeFunction ({ conference, locale, callerNumber }); query is the caller's words, when known
+     * @returns {Object} { result, parameters } - parameters after context resolution
+     */
+    async run({ sessionId, functionName, arguments: rawArguments, context = {}, query = null, source = 'unknown' }) {
+        const parsed = this.parseArguments(functionName, rawArguments);
+        if (!parsed.valid) {
+            return this.reject(sessionId, functionName, parsed, source);
+        }
+
+        // "Tell me about the second one", "when is her talk?" → concrete parameters
+        const resolved = this.contextManager.resolveContextualQuery(
+            sessionId, functionName, parsed.parameters
+        );
+
+        const validation = this.validateArguments(functionName, resolved);
+        if (!validation.valid) {
+            return this.reject(sessionId, functionName, validation, source);
+        }
+        const { parameters } = validation;
+
+        const result = await this.realtimeFunctions.executeFunction(functionName, parameters, context);
+
+        // Remember what was found so the next question can refer back to it
+        this.contextManager.updateContext(
+            sessionId, functionName, parameters, result, query
+        );
+
+        this.log(sessionId, functionName, parameters, result, source);
+
+        return { result, parameters };
+    }
+
+    /**
+     * Parse the raw arguments into a parameters object
+     * @returns {Object} { valid, parameters } or { valid: false, error }
+     */
+    parseArguments(functionName, rawArguments) {
+        if (!functionName) {
+            return { valid: false, error: 'Missing function name' };
+        }
+
+        let parameters = rawArguments ?? {};
+        if (typeof parameters === 'string') {
+            try {
+                parameters = parameters.trim() ? JSON.parse(parameters) : {};
+            } catch (error) {
+                return { valid: false, error: `Arguments for ${functionName} are not valid JSON: ${error.message}` };
+            }
+        }
+
+        if (typeof parameters !== 'object' || parameters === null || Array.isArray(parameters)) {
+            return { valid: false, error: `Arguments for ${functionName} must be a JSON object` };
+        }
+
+        return { valid: true, parameters };
+    }
+
+    /**
+     * Check parameters against the function's declared schema
+     * Coerces near-misses and fills in defaults, so implementations only ever see clean parameters
+     * @returns {Object} { valid, parameters } or { valid: false, error, validationErrors, message }
+     */
+    validateArguments(functionName, parameters) {
+        const definition = this.realtimeFunctions.getFunctionDefinition(functionName);
+        if (!definition) {
+            const available = this.realtimeFunctions.getFunctionDefinitions().map(fn => fn.name);
+            return {
+                valid: false,
+                error: `Unknown function: ${functionName}`,
+                validationErrors: [{ parameter: null, message: `Unknown function: ${functionName}`, allowed: available }],
+                message: `There is no function called ${functionName}. Use one of: ${available.join(', ')}.`
+            };
+        }
+
+        const { parameters: validated, errors } = validateArguments(definition.parameters, parameters);
+        if (errors.length > 0) {
+            return {
+                valid: false,
+                error: `Invalid arguments for ${functionName}: ${errors.map(error => error.message).join('; ')}`,
+                validationErrors: errors,
+                message: `Call ${functionName} again with corrected arguments: ` +
+                    errors.map(error => (error.allowed
+                        ? `${error.parameter} must be one of ${error.allowed.join(', ')}`
+                        : error.message)).join('; ') +
+                    '. If the caller asked for something else, ask them to clarify.'
+            };
+        }
+
+        return { valid: true, parameters: validated };
+    }
+
+    /**
+     * Structured error result for arguments that can't be used - the model can correct them and retry
+     */
+    reject(sessionId, functionName, validation, source) {
+        console.warn(`⚠️  Rejected ${functionName} call via ${source}: ${validation.error}`);
+
+        const result = {
+            success: false,
+            error: validation.error,
+            validationErrors: validation.validationErrors || [],
+            data: [],
+            message: validation.message || 'The function arguments were invalid. Correct them and call the function again.'
+        };
+        this.log(sessionId, functionName, {}, result, source);
+        return { result, parameters: {} };
+    }
+
+    log(sessionId, functionName, parameters, result, source) {
+        if (!this.logger) return;
+
+        try {
+            this.logger(sessionId, functionName, parameters, result, source);
+        } catch (error) {
+            // Analytics must never break the call
+            console.error(`❌ Failed to log function call ${functionName}:`, error.message);
+        }
+    }
+}
+
+module.exports = FunctionPipeline;
@@ -0,0 +1,76 @@
+/**
+ * Fuzzy Match
+ * Matches what the caller said against a list of known names ("main stage", "the demo stitch" → "Demo Stage"),
+ * tolerating missing words, extra filler and small transcription errors
+ */
+
+// Words that don't help tell names apart
+const FILLER_WORDS = new Set(['the', 'a', 'an', 'in', 'at', 'on', 'room']);
+
+/**
+ * Candidates that match the query, best first
+ * @param {string} query - What the caller said
+ * @param {Array} candidates - Items to match against
+ * @param {Object} options - { getName (item → name), threshold (0-1, default 0.5) }
+ * @returns {Array} [{ item, score }] at or above the threshold
+ */
+function rankMatches(query, candidates, { getName = item => item, threshold = 0.5 } = {}) {
+    return candidates
+        .map(item => ({ item, score: scoreMatch(query, getName(item)) }))
+        .filter(match => match.score >= threshold)
+        .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Similarity between two names, from 0 (nothing in common) to 1 (same name)
+ */
+function scoreMatch(query, name) {
+    const queryTokens = tokenize(query);
+    const nameTokens = tokenize(name);
+    if (queryTokens.length === 0 || nameTokens.length === 0) return 0;
+
+    const queryText = queryTokens.join(' ');
+    const nameText = nameTokens.join(' ');
+    if (queryText === nameText) return 1;
+    if (nameText.includes(queryText) || queryText.includes(nameText)) return 0.9;
+
+    // Each word's closest counterpart on the other side - mostly how much of what was said is in the name,
+    // partly how much of the name was said
+    const coverage = (from, to) =>
+        from.reduce((sum, token) => sum + Math.max(...to.map(other => similarity(token, other))), 0) / from.length;
+
+    return 0.9 * (0.6 * coverage(queryTokens, nameTokens) + 0.4 * coverage(nameTokens, queryTokens));
+}
+
+function tokenize(text) {
+    return (String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+        .filter(token => !FILLER_WORDS.has(token));
+}
+
+/**
+ * Edit-distance similarity between two words (1 = identical)
+ */
+function similarity(a, b) {
+    if (a === b) return 1;
+    return 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+}
+
+function levenshtein(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+
+    return previous[b.length];
+}
+
+module.exports = { rankMatches, scoreMatch };
@@ -0,0 +1,170 @@
+/**
+ * Instruction Builder
+ * Generates the Realtime system prompt from a template plus live conference data
+ * (name, dates, today's date, and the session types, topics and venues in the database)
+ */
+
+const DEFAULT_TEMPLATE = `{{languageRule}}
+
+{{intro}}
+Today is {{today}}.{{conferenceDay}}
+
+{{description}}
+
+{{topics}}
+
+{{sessionTypes}}
+
+{{venues}}
+
+CRITICAL - FUNCTION CALLING RULES:
+You MUST use the available functions to answer ALL conference-related questions. NEVER make up information.
+
+ALWAYS call these functions when users ask:
+- "What's happening now?" → call get_current_sessions
+- "What's coming up?" / "What's next?" → call get_upcoming_sessions
+- "What's on at 3pm tomorrow?" / "After lunch on day two?" → call get_sessions_at_time with the time and day
+- "What's in the Main Hall next?" / "What's on the demo stage this afternoon?" → call get_sessions_by_venue
+- "Tell me about [topic]" → call search_sessions_by_topic with the topic
+- "Who is [speaker name]?" / "Sessions by [speaker]" → call search_sessions_by_speaker
+- "Show me workshops/demos/talks" → call search_sessions_by_type
+- Questions combining several criteria ("beginner-friendly AI workshops tomorrow afternoon") → call find_sessions with every filter mentioned
+- "What should I go to?" / "Anything for a new manager into hiring?" → call recommend_sessions with their role and interests, and give the reason for each pick
+- "What's the full schedule?" → call get_full_schedule
+- "Add [session] to my agenda" / "Remove it from my agenda" → call add_to_agenda / remove_from_agenda; if it overlaps another saved session, tell the caller
+- "What's my next session?" / "What's on my agenda?" → call get_my_agenda
+- Any other question → call search_general with their question
+- Caller asks for a person, is stuck, or is upset → call transfer_to_staff (registration, accessibility, or sponsor desk)
+- Caller says goodbye or has nothing else ("that's all, thanks") → say a short goodbye, then call end_call
+
+Response guidelines:
+- Keep responses conversational and concise (voice-friendly)
+- ALWAYS call a function before answering - you have NO information without calling functions
+- When listing sessions, mention time and location
+- If nothing matches, suggest similar or popular alternatives
+- Be enthusiastic about helping them get the most from the conference
+
+Example greeting: "Hi! I'm here to help you navigate {{conferenceName}}. Are you looking for specific sessions, speakers, or topics? Or would you like to hear what's happening right now?"
+
+Remember: This is a voice conversation - be natural, friendly, and helpful!`;
+
+class InstructionBuilder {
+    constructor(databaseManager, conferenceRegistry, languageDetector, template = DEFAULT_TEMPLATE) {
+        this.databaseManager = databaseManager;
+        this.conferenceRegistry = conferenceRegistry;
+        this.languageDetector = languageDetector;
+        this.template = template;
+
+        // Session types / topics / venues per conference, loaded from the database
+        this.catalogs = new Map();
+    }
+
+    /**
+     * Reload the catalog for one conference from the database
+     */
+    async refresh(conference) {
+        try {
+            const catalog = await this.databaseManager.getConferenceCatalog(conference.id);
+            this.catalogs.set(conference.id, { ...catalog, refreshedAt: new Date() });
+            console.log(`📝 Instructions for ${conference.name}: ${catalog.sessionTypes.length} session types, ${catalog.topics.length} topics, ${catalog.venues.length} venues`);
+        } catch (error) {
+            // Keep serving the last good catalog
+            console.error(`❌ Failed to refresh instructions for ${conference.name}:`, error.message);
+        }
+        return this.catalogs.get(conference.id) || null;
+    }
+
+    /**
+     * Reload catalogs for every configured conference (run at startup and after each scrape)
+     */
+    async refreshAll() {
+        for (const conference of this.conferenceRegistry.getAll()) {
+            await this.refresh(conference);
+        }
+    }
+
+    getCatalog(conference) {
+        return this.catalogs.get(conference.id) || { sessionTypes: [], topics: [], venues: [], refreshedAt: null };
+    }
+
+    /**
+     * Render the system instructions for a conference
+     * Synchronous so it can run on the call-accept path - uses the cached catalog
+     * @param {Object} conference - Conference definition from the registry
+     * @param {Object} options - { now, template (e.g. from a prompt variant), language (code) }
+     */
+    build(conference, { now = new Date(), template = null, language = null } = {}) {
+        const catalog = this.getCatalog(conference);
+        const dates = this.conferenceRegistry.formatDates(conference);
+
+        const today = now.toLocaleDateString('en-US', {
+            timeZone: conference.timezone,
+            weekday: 'long',
+            month: 'long',
+            day: 'numeric',
+            year: 'numeric'
+        });
+        const dayIndex = conference.dates.indexOf(this.conferenceRegistry.getLocalDate(conference, now));
+
+        const values = {
+            languageRule: this.getLanguageRule(language),
+            conferenceName: conference.name,
+            intro: `You are the voice assistant for ${conference.name}` +
+                (dates ? `, taking place ${dates}` : '') +
+                (conference.location ? ` in ${conference.location}` : '') + '.',
+            today,
+            conferenceDay: dayIndex >= 0
+                ? ` That is day ${dayIndex + 1} of ${conference.dates.length} of the conference.`
+                : '',
+            description: conference.instructions || '',
+            topics: this.formatList('Topics covered in the agenda:', catalog.topics),
+            sessionTypes: this.formatList('The conference features these session formats:', catalog.sessionTypes),
+            venues: this.formatList('Rooms and venues:', catalog.venues)
+        };
+
+        return this.render(template || this.template, values)
+            // Drop the blank lines left by empty sections
+            .replace(/\n{3,}/g, '\n\n');
+    }
+
+    /**
+     * Fill {{placeholders}} in a template, leaving unknown ones untouched
+     */
+    render(template, values) {
+        return template.replace(/{{(\w+)}}/g, (match, key) => (key in values ? values[key] : match));
+    }
+
+    /**
+     * Which language to answer in, and when to switch
+     */
+    getLanguageRule(code) {
+        const language = this.languageDetector.getLanguage(code || this.languageDetector.defaultLanguage);
+        const others = this.languageDetector.getSupported().filter(other => other.code !== language.code);
+
+        if (others.length === 0) {
+            return `IMPORTANT: Always respond in ${language.name} only, regardless of the caller's language or accent. Do not switch to other languages.`;
+        }
+
+        let rule = `IMPORTANT: Always respond in ${language.name}` +
+            (language.nativeName !== language.name ? ` (${language.nativeName})` : '') + '.';
+        if (language.code !== 'en') {
+            rule += ' Function results are in English - translate descriptions and times naturally, but keep session titles and speaker names exactly as given.';
+        }
+        const otherNames = others.map(other => other.name);
+        const otherList = otherNames.length > 1
+            ? `${otherNames.slice(0, -1).join(', ')} or ${otherNames[otherNames.length - 1]}`
+            : otherNames[0];
+        rule += ` If the caller speaks or asks for ${otherList}, switch to that language. Do not use any other language.`;
+        return rule;
+    }
+
+    /**
+     * Render a heading plus bullet list, or nothing when the list is empty
+     */
+    formatList(heading, items) {
+        if (!items || items.length === 0) return '';
+        return `${heading}\n${items.map(item => `- ${item}`).join('\n')}`;
+    }
+}
+
+module.exports = InstructionBuilder;
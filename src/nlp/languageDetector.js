@@ -0,0 +1,155 @@
+/**
+ * Language Detector
+ * Picks the caller's language from what they say - either an explicit request
+ * ("can we speak Spanish?") or the words used in their first turn
+ */
+
+const LANGUAGES = {
+    en: {
+        name: 'English',
+        nativeName: 'English',
+        locale: 'en-US',
+        names: ['english', 'inglés', 'ingles', 'inglês', 'anglais'],
+        words: ['the', 'what', 'is', 'are', 'where', 'when', 'who', 'hi', 'hello', 'thanks', 'thank', 'you', 'sessions',
+            'session', 'about', 'can', 'i', 'me', 'please', 'next', 'now', 'yes', 'there', 'any', 'talks', 'which']
+    },
+    es: {
+        name: 'Spanish',
+        nativeName: 'Español',
+        locale: 'es-ES',
+        names: ['spanish', 'español', 'espanol', 'espanhol', 'espagnol'],
+        words: ['hola', 'qué', 'que', 'el', 'los', 'las', 'es', 'dónde', 'donde', 'cuándo', 'cuando', 'quién', 'quien',
+            'sesiones', 'sesión', 'gracias', 'por', 'favor', 'quiero', 'puedes', 'hay', 'ahora', 'sobre', 'y', 'sí',
+            'estoy', 'busco', 'charlas', 'cuál', 'cual', 'hoy']
+    },
+    pt: {
+        name: 'Portuguese',
+        nativeName: 'Português',
+        locale: 'pt-BR',
+        names: ['portuguese', 'português', 'portugues', 'portugués', 'portugais'],
+        words: ['olá', 'ola', 'oi', 'o', 'que', 'os', 'é', 'onde', 'quando', 'quem', 'sessões', 'sessão', 'obrigado',
+            'obrigada', 'por', 'favor', 'quero', 'você', 'voce', 'tem', 'agora', 'sobre', 'e', 'sim', 'estou', 'não',
+            'palestras', 'qual', 'hoje']
+    },
+    fr: {
+        name: 'French',
+        nativeName: 'Français',
+        locale: 'fr-FR',
+        names: ['french', 'français', 'francais', 'francés', 'frances', 'francês'],
+        words: ['bonjour', 'salut', 'le', 'les', 'est', 'où', 'quand', 'qui', 'quelles', 'quelle', 'quel', 'séances',
+            'merci', 'je', 'vous', 'voudrais', 'veux', 'maintenant', 'sur', 'et', 'oui', 'suis', 'pouvez', 'il', 'y',
+            'des', 'du', 'conférences', "aujourd'hui"]
+    }
+};
+
+// Letters that only (or mostly) appear in one of the languages
+const CHARACTER_HINTS = {
+    es: /[ñ¿¡]/,
+    pt: /[ãõ]/,
+    fr: /[œèù]/
+};
+
+// Words that signal the caller is asking to switch ("speak", "hablar", "falar", "parler", ...)
+const REQUEST_WORDS = new Set([
+    'speak', 'switch', 'change', 'respond', 'continue',
+    'hablar', 'habla', 'hablas', 'hable', 'hablamos',
+    'falar', 'fala', 'fale', 'falamos',
+    'parler', 'parle', 'parles', 'parlez', 'parlons'
+]);
+
+class LanguageDetector {
+    constructor() {
+        // Languages callers may use, e.g. SUPPORTED_LANGUAGES=en,es,pt,fr
+        const configured = (process.env.SUPPORTED_LANGUAGES || 'en,es,pt,fr')
+            .split(',')
+            .map(code => code.trim().toLowerCase())
+            .filter(Boolean);
+
+        this.supported = configured.filter(code => {
+            if (!LANGUAGES[code]) {
+                console.warn(`⚠️  Unsupported language "${code}" in SUPPORTED_LANGUAGES (known: ${Object.keys(LANGUAGES).join(', ')})`);
+                return false;
+            }
+            return true;
+        });
+
+        const defaultLanguage = (process.env.DEFAULT_LANGUAGE || 'en').toLowerCase();
+        this.defaultLanguage = LANGUAGES[defaultLanguage] ? defaultLanguage : 'en';
+        if (!this.supported.includes(this.defaultLanguage)) {
+            this.supported.unshift(this.defaultLanguage);
+        }
+
+        // Language name (in any supported language) → code
+        this.nameIndex = new Map();
+        for (const [code, language] of Object.entries(LANGUAGES)) {
+            language.names.forEach(name => this.nameIndex.set(name, code));
+        }
+    }
+
+    /**
+     * Get language details, falling back to the default language
+     * @returns {Object} { code, name, nativeName, locale }
+     */
+    getLanguage(code) {
+        const resolved = this.supported.includes(code) ? code : this.defaultLanguage;
+        const { name, nativeName, locale } = LANGUAGES[resolved];
+        return { code: resolved, name, nativeName, locale };
+    }
+
+    getSupported() {
+        return this.supported.map(code => this.getLanguage(code));
+    }
+
+    /**
+     * Find an explicit request to switch language, e.g. "can we speak Spanish?" or "podemos falar português?"
+     * @returns {string|null} Language code
+     */
+    detectExplicitRequest(text) {
+        const words = this.tokenize(text);
+
+        for (let i = 0; i < words.length; i++) {
+            if (!REQUEST_WORDS.has(words[i])) continue;
+
+            // Allow a couple of filler words: "speak in Spanish", "hablar en inglés", "switch to French"
+            for (const word of words.slice(i + 1, i + 4)) {
+                const code = this.nameIndex.get(word);
+                if (code && this.supported.includes(code)) {
+                    return code;
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Guess the language of a transcript from common words and accented letters
+     * @returns {string|null} Language code, or null when there isn't enough signal
+     */
+    detect(text) {
+        const words = this.tokenize(text);
+        if (words.length === 0) return null;
+
+        const scores = this.supported.map(code => {
+            let score = words.filter(word => LANGUAGES[code].words.includes(word)).length;
+            if (CHARACTER_HINTS[code]?.test(text.toLowerCase())) {
+                score += 2;
+            }
+            return { code, score };
+        }).sort((a, b) => b.score - a.score);
+
+        const [best, runnerUp] = scores;
+
+        // Need a couple of hits and a clear winner - short or mixed phrases stay undecided
+        if (best.score < 2 || (runnerUp && best.score - runnerUp.score < 1)) {
+            return null;
+        }
+        return best.code;
+    }
+
+    tokenize(text) {
+        return (text || '').toLowerCase().match(/[\p{L}']+/gu) || [];
+    }
+}
+
+module.exports = LanguageDetector;
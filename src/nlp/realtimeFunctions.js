@@ -1,3 +1,18 @@
+const { resolveTimeWindow } = require('./timeResolver');
+const { rankMatches, scoreMatch } = require('./fuzzyMatch');
+
+// Functions that act on the call rather than look anything up - their results have no count to speak of
+const CALL_CONTROL_FUNCTIONS = ['transfer_to_staff', 'end_call'];
+
+// How much each signal counts towards a recommendation (signals the caller gave no input for are left out)
+const RECOMMENDATION_WEIGHTS = { suitability: 0.4, topic: 0.4, time: 0.2 };
+
+// Words too common in session lookups to narrow anything down ("the Kubernetes talk")
+const LOOKUP_FILLER_WORDS = new Set(['the', 'a', 'an', 'on', 'by', 'about', 'session', 'one']);
+
+// Below this a venue match is only a guess ("main hall" → "Main Stage") - the caller confirms it first
+const CONFIDENT_VENUE_SCORE = 0.75;
+
 /**
  * Function definitions for OpenAI Realtime API
  * These functions will be called by OpenAI when the user asks conference-related questions
@@ -6,6 +21,31 @@
 class RealtimeFunctions {
     constructor(databaseManager) {
         this.databaseManager = databaseManager;
+
+        // Staff lines callers can be transferred to (SIP or tel URIs)
+        this.staffRoutes = {
+            registration: {
+                label: 'the registration desk',
+                targetUri: process.env.STAFF_REGISTRATION_URI
+            },
+            accessibility: {
+                label: 'our accessibility team',
+                targetUri: process.env.STAFF_ACCESSIBILITY_URI
+            },
+            sponsor: {
+                label: 'the sponsor desk',
+                targetUri: process.env.STAFF_SPONSOR_URI
+            }
+        };
+
+        // Per-function time limits (ms) so a locked or slow database doesn't leave the caller in dead air
+        // FUNCTION_TIMEOUTS overrides individual functions, e.g. "get_full_schedule=8000,search_general=6000"
+        this.defaultTimeout = parseInt(process.env.FUNCTION_TIMEOUT_MS || 5000);
+        this.functionTimeouts = parseFunctionTimeouts(process.env.FUNCTION_TIMEOUTS);
+        this.timeoutStats = {
+            total: 0,
+            byFunction: {}
+        };
         
         // Define the function schemas for OpenAI Realtime API
         this.functions = [
@@ -27,12 +67,147 @@ class RealtimeFunctions {
                         limit: {
                             type: "integer",
                             description: "Maximum number of sessions to return",
+                            minimum: 1,
+                            maximum: 20,
                             default: 5
                         }
                     },
                     required: []
                 }
             },
+            {
+                name: "get_sessions_at_time",
+                description: "Find sessions running at a specific time or during part of a day, e.g. 'what's on at 3pm tomorrow' or 'after lunch on day two'",
+                parameters: {
+                    type: "object",
+                    properties: {
+                        time: {
+                            type: "string",
+                            description: "The time as the caller said it: '3pm', '15:30', 'noon', 'after 4pm', 'morning', 'after lunch', 'in an hour', or an ISO date-time",
+                            maxLength: 100
+                        },
+                        day: {
+                            type: "string",
+                            description: "Which day: 'today', 'tomorrow', 'day 2', 'second day', a weekday, or a date (YYYY-MM-DD). Leave out if the caller didn't say",
+                            maxLength: 50
+                        }
+                    },
+                    required: ["time"]
+                }
+            },
+            {
+                name: "get_sessions_by_venue",
+                description: "Find what's happening in a specific room or stage, e.g. 'what's in the Main Hall next?' or 'what's on the demo stage this afternoon?'",
+                parameters: {
+                    type: "object",
+                    properties: {
+                        venue: {
+                            type: "string",
+                            description: "Room or stage name as the caller said it (e.g. 'main stage', 'demo stage', 'workshop hall')",
+                            maxLength: 100
+                        },
+                        time: {
+                            type: "string",
+                            description: "Only if the caller named a time: '3pm', 'this afternoon', 'after lunch'. Leave out for what's on now and next",
+                            maxLength: 100
+                        },
+                        day: {
+                            type: "string",
+                            description: "Only if the caller named a day: 'tomorrow', 'day 2', a weekday, or a date (YYYY-MM-DD)",
+                            maxLength: 50
+                        }
+                    },
+                    required: ["venue"]
+                }
+            },
+            {
+                name: "find_sessions",
+                description: "Search sessions on several criteria at once, e.g. 'beginner-friendly AI workshops tomorrow afternoon'. Use when the caller combines a topic, type, speaker, time, audience level, room or sponsorship",
+                parameters: {
+                    type: "object",
+                    properties: {
+                        topic: {
+                            type: "string",
+                            description: "Topic or keyword (e.g. 'AI', 'leadership')",
+                            maxLength: 200
+                        },
+                        session_type: {
+                            type: "string",
+                            enum: ["talk", "demo", "demo stage", "solution swap", "workshop", "panel"],
+                            description: "Type of session"
+                        },
+                        speaker: {
+                            type: "string",
+                            description: "Speaker name",
+                            maxLength: 200
+                        },
+                        day: {
+                            type: "string",
+                            description: "'today', 'tomorrow', 'day 2', a weekday, or a date (YYYY-MM-DD)",
+                            maxLength: 50
+                        },
+                        time: {
+                            type: "string",
+                            description: "Time or part of the day: '3pm', 'after 2pm', 'morning', 'afternoon', 'after lunch'",
+                            maxLength: 100
+                        },
+                        suitability: {
+                            type: "string",
+                            enum: ["new manager", "experienced manager", "tech lead", "senior engineer"],
+                            description: "Audience level the session is aimed at. Beginner-friendly or new-to-leadership requests mean 'new manager'"
+                        },
+                        venue: {
+                            type: "string",
+                            description: "Room or stage name",
+                            maxLength: 100
+                        },
+                        sponsored: {
+                            type: "boolean",
+                            description: "true for sponsored sessions only, false to leave them out. Omit when the caller doesn't care"
+                        },
+                        limit: {
+                            type: "integer",
+                            description: "Maximum number of sessions to return",
+                            minimum: 1,
+                            maximum: 20,
+                            default: 10
+                        }
+                    },
+                    required: []
+                }
+            },
+            {
+                name: "recommend_sessions",
+                description: "Recommend upcoming sessions for the caller based on their role and interests, e.g. 'I'm a new manager into hiring - what should I see?'. Leave role and interests out to use what the caller said earlier",
+                parameters: {
+                    type: "object",
+                    properties: {
+                        role: {
+                            type: "string",
+                            enum: ["new manager", "experienced manager", "tech lead", "senior engineer"],
+                            description: "The caller's role. First-time or aspiring managers mean 'new manager'"
+                        },
+                        interests: {
+                            type: "string",
+                            description: "Comma-separated topics the caller cares about (e.g. 'AI, hiring')",
+                            maxLength: 200
+                        },
+                        day: {
+                            type: "string",
+                            description: "Only recommend sessions on this day: 'today', 'tomorrow', 'day 2', a weekday, or a date (YYYY-MM-DD)",
+                            maxLength: 50
+                        },
+                        limit: {
+                            type: "integer",
+                            description: "Number of recommendations",
+                            minimum: 1,
+                            maximum: 10,
+                            default: 3
+                        }
+                    },
+                    required: []
+                }
+            },
             {
                 name: "search_sessions_by_topic",
                 description: "Search for sessions related to a specific topic or keyword",
@@ -41,7 +216,8 @@ class RealtimeFunctions {
                     properties: {
                         topic: {
                             type: "string", 
-                            description: "Topic or keyword to search for (e.g., 'AI', 'leadership', 'management')"
+                            description: "Topic or keyword to search for (e.g., 'AI', 'leadership', 'management')",
+                            maxLength: 200
                         }
                     },
                     required: ["topic"]
@@ -55,7 +231,8 @@ class RealtimeFunctions {
                     properties: {
                         speaker_name: {
                             type: "string",
-                            description: "Name of the speaker to search for"
+                            description: "Name of the speaker to search for",
+                            maxLength: 200
                         }
                     },
                     required: ["speaker_name"]
@@ -69,7 +246,8 @@ class RealtimeFunctions {
                     properties: {
                         session_query: {
                             type: "string",
-                            description: "Session title, speaker name, or other identifying information"
+                            description: "Session title, speaker name, or other identifying information",
+                            maxLength: 200
                         }
                     },
                     required: ["session_query"]
@@ -114,11 +292,104 @@ class RealtimeFunctions {
                     properties: {
                         query: {
                             type: "string",
-                            description: "Search term or phrase to look for across sessions, speakers, and descriptions"
+                            description: "Search term or phrase to look for across sessions, speakers, and descriptions",
+                            maxLength: 200
                         }
                     },
                     required: ["query"]
                 }
+            },
+            {
+                name: "add_to_agenda",
+                description: "Save a session to the caller's personal agenda (kept across calls). Warns when it overlaps a session already saved",
+                parameters: {
+                    type: "object",
+                    properties: {
+                        session_query: {
+                            type: "string",
+                            description: "Session title, speaker or keyword as the caller said it (e.g. 'the Kubernetes talk')",
+                            maxLength: 200
+                        },
+                        session_id: {
+                            type: "integer",
+                            description: "Session id from an earlier result, when known - more precise than session_query",
+                            minimum: 1
+                        }
+                    },
+                    required: []
+                }
+            },
+            {
+                name: "remove_from_agenda",
+                description: "Remove a session from the caller's personal agenda",
+                parameters: {
+                    type: "object",
+                    properties: {
+                        session_query: {
+                            type: "string",
+                            description: "Session title, speaker or keyword as the caller said it (e.g. 'the Kubernetes talk')",
+                            maxLength: 200
+                        },
+                        session_id: {
+                            type: "integer",
+                            description: "Session id from an earlier result, when known - more precise than session_query",
+                            minimum: 1
+                        }
+                    },
+                    required: []
+                }
+            },
+            {
+                name: "get_my_agenda",
+                description: "Read back the caller's personal agenda, e.g. 'what's my next session?' or 'what have I saved?'",
+                parameters: {
+                    type: "object",
+                    properties: {
+                        scope: {
+                            type: "string",
+                            enum: ["next", "remaining", "all"],
+                            description: "next: the session in progress and the one after it; remaining: everything not yet finished; all: the whole agenda",
+                            default: "remaining"
+                        }
+                    },
+                    required: []
+                }
+            },
+            {
+                name: "transfer_to_staff",
+                description: "Transfer the caller to a human staff member. Use when the caller asks for a person, is stuck, upset, or needs help you cannot give (registration, tickets, accessibility needs, sponsor questions)",
+                parameters: {
+                    type: "object",
+                    properties: {
+                        destination: {
+                            type: "string",
+                            enum: ["registration", "accessibility", "sponsor"],
+                            description: "Which staff desk to transfer to: registration (tickets, badges, general help), accessibility (access needs), or sponsor (booths, sponsorship)",
+                            default: "registration"
+                        },
+                        reason: {
+                            type: "string",
+                            description: "Short summary of why the caller needs a human"
+                        }
+                    },
+                    required: ["destination"]
+                }
+            },
+            {
+                name: "end_call",
+                description: "End the phone call after saying goodbye. Use only when the caller indicates they are finished (e.g. 'that's all, thanks', 'bye')",
+                parameters: {
+                    type: "object",
+                    properties: {
+                        reason: {
+                            type: "string",
+                            enum: ["goodbye", "caller_request", "no_further_questions"],
+                            description: "Why the call is ending",
+                            default: "goodbye"
+                        }
+                    },
+                    required: []
+                }
             }
         ];
     }
@@ -131,46 +402,36 @@ class RealtimeFunctions {
         return this.functions;
     }
 
+    /**
+     * Get one function's definition
+     * @returns {Object|null} Definition, or null for unknown functions
+     */
+    getFunctionDefinition(functionName) {
+        return this.functions.find(fn => fn.name === functionName) || null;
+    }
+
+    /**
+     * Whether a function controls the call (transfer, hang up) instead of looking something up
+     */
+    isCallControlFunction(functionName) {
+        return CALL_CONTROL_FUNCTIONS.includes(functionName);
+    }
+
     /**
      * Execute a function call from OpenAI Realtime API
      * @param {string} functionName - Name of the function to call
      * @param {Object} parameters - Function parameters
+     * @param {Object} context - Call context: { conference } scopes queries to one event, { locale } sets the time format,
+     *   { callerNumber } identifies whose agenda to use
      * @returns {Object} Function result
      */
-    async executeFunction(functionName, parameters = {}) {
+    async executeFunction(functionName, parameters = {}, context = {}) {
         try {
-            switch (functionName) {
-                case 'get_current_sessions':
-                    return await this.getCurrentSessions();
-                    
-                case 'get_upcoming_sessions':
-                    return await this.getUpcomingSessions(parameters.limit || 5);
-                    
-                case 'search_sessions_by_topic':
-                    return await this.searchSessionsByTopic(parameters.topic);
-                    
-                case 'search_sessions_by_speaker':
-                    return await this.searchSessionsBySpeaker(parameters.speaker_name);
-                    
-                case 'get_session_details':
-                    return await this.getSessionDetails(parameters.session_query);
-                    
-                case 'search_sessions_by_type':
-                    return await this.searchSessionsByType(parameters.session_type);
-                    
-                case 'get_full_schedule':
-                    return await this.getFullSchedule(parameters.day || 'all');
-                    
-                case 'search_general':
-                    return await this.searchGeneral(parameters.query);
-                    
-                default:
-                    return {
-                        success: false,
-                        error: `Unknown function: ${functionName}`,
-                        data: []
-                    };
-            }
+            const result = await this.withTimeout(
+                functionName,
+                this.dispatchFunction(functionName, parameters, context)
+            );
+            return this.localizeResult(result, context);
         } catch (error) {
             console.error(`Error executing function ${functionName}:`, error);
             return {
@@ -181,11 +442,139 @@ class RealtimeFunctions {
         }
     }
 
+    /**
+     * Resolve with the function's result, or a retryable timeout result if it takes too long
+     * The underlying query keeps running - its late result is simply discarded
+     */
+    async withTimeout(functionName, execution) {
+        const timeoutMs = this.functionTimeouts[functionName] || this.defaultTimeout;
+        const TIMED_OUT = Symbol('timedOut');
+
+        let timer;
+        const timeout = new Promise(resolve => {
+            timer = setTimeout(() => resolve(TIMED_OUT), timeoutMs);
+        });
+
+        const result = await Promise.race([execution, timeout]).finally(() => clearTimeout(timer));
+        if (result !== TIMED_OUT) {
+            return result;
+        }
+
+        // Nobody awaits the abandoned execution any more - don't let a late failure go unhandled
+        execution.catch(error => console.error(`Function ${functionName} failed after timing out:`, error.message));
+
+        this.timeoutStats.total++;
+        this.timeoutStats.byFunction[functionName] = (this.timeoutStats.byFunction[functionName] || 0) + 1;
+        console.warn(`⏱️  Function ${functionName} timed out after ${timeoutMs}ms`);
+
+        return {
+            success: false,
+            timedOut: true,
+            retryable: true,
+            error: `${functionName} timed out after ${timeoutMs}ms`,
+            data: [],
+            message: "The lookup is taking too long. Apologize briefly, say you couldn't get that information just now, and offer to try again."
+        };
+    }
+
+    getTimeoutStats() {
+        return {
+            ...this.timeoutStats,
+            defaultTimeoutMs: this.defaultTimeout,
+            overridesMs: this.functionTimeouts
+        };
+    }
+
+    /**
+     * Route a function call to its implementation
+     */
+    async dispatchFunction(functionName, parameters, context = {}) {
+        const conference = context.conference || null;
+        const conferenceId = conference?.id || null;
+
+        switch (functionName) {
+            case 'get_current_sessions':
+                return await this.getCurrentSessions(conferenceId);
+                
+            case 'get_upcoming_sessions':
+                return await this.getUpcomingSessions(parameters.limit || 5, conferenceId);
+                
+            case 'get_sessions_at_time':
+                return await this.getSessionsAtTime(parameters.time, parameters.day, conference);
+
+            case 'get_sessions_by_venue':
+                return await this.getSessionsByVenue(parameters.venue, parameters.time, parameters.day, conference);
+
+            case 'find_sessions':
+                return await this.findSessions(parameters, conference);
+
+            case 'recommend_sessions':
+                return await this.recommendSessions(parameters, conference, context.locale);
+
+            case 'search_sessions_by_topic':
+                return await this.searchSessionsByTopic(parameters.topic, conferenceId);
+                
+            case 'search_sessions_by_speaker':
+                return await this.searchSessionsBySpeaker(parameters.speaker_name, conferenceId);
+                
+            case 'get_session_details':
+                return await this.getSessionDetails(parameters.session_query, conferenceId);
+                
+            case 'search_sessions_by_type':
+                return await this.searchSessionsByType(parameters.session_type, conferenceId);
+                
+            case 'get_full_schedule':
+                return await this.getFullSchedule(parameters.day || 'all', conferenceId);
+                
+            case 'search_general':
+                return await this.searchGeneral(parameters.query, conferenceId);
+
+            case 'add_to_agenda':
+                return await this.addToAgenda(parameters.session_query, parameters.session_id, context.callerNumber, conference, context.locale);
+
+            case 'remove_from_agenda':
+                return await this.removeFromAgenda(parameters.session_query, parameters.session_id, context.callerNumber, conference, context.locale);
+
+            case 'get_my_agenda':
+                return await this.getMyAgenda(parameters.scope || 'remaining', context.callerNumber, conference);
+
+            case 'transfer_to_staff':
+                return this.transferToStaff(parameters.destination || 'registration', parameters.reason);
+
+            case 'end_call':
+                return this.endCall(parameters.reason || 'goodbye');
+                
+            default:
+                return {
+                    success: false,
+                    error: `Unknown function: ${functionName}`,
+                    data: []
+                };
+        }
+    }
+
+    /**
+     * Render session times in the caller's language and the conference's timezone
+     */
+    localizeResult(result, context) {
+        if (!Array.isArray(result?.data) || (!context.locale && !context.conference)) {
+            return result;
+        }
+
+        // Agenda conflicts are sessions too
+        for (const item of [...result.data, ...(result.conflicts || [])]) {
+            if (item?.start_time) {
+                item.formatted_time = formatTime(item.start_time, context.locale, context.conference?.timezone);
+            }
+        }
+        return result;
+    }
+
     /**
      * Get currently running sessions
      */
-    async getCurrentSessions() {
-        const sessions = await this.databaseManager.getCurrentSessions();
+    async getCurrentSessions(conferenceId = null) {
+        const sessions = await this.databaseManager.getCurrentSessions(conferenceId);
         return {
             success: true,
             count: sessions.length,
@@ -197,8 +586,8 @@ class RealtimeFunctions {
     /**
      * Get upcoming sessions
      */
-    async getUpcomingSessions(limit = 5) {
-        const sessions = await this.databaseManager.getUpcomingSessions(limit);
+    async getUpcomingSessions(limit = 5, conferenceId = null) {
+        const sessions = await this.databaseManager.getUpcomingSessions(limit, conferenceId);
         return {
             success: true,
             count: sessions.length, 
@@ -207,15 +596,578 @@ class RealtimeFunctions {
         };
     }
 
+    /**
+     * Get sessions running at a time the caller describes, in the conference's timezone
+     * @param {string} time - "3pm", "after lunch", "15:30", an ISO date-time, ...
+     * @param {string} day - "tomorrow", "day 2", a weekday, YYYY-MM-DD (optional)
+     * @param {Object} conference - Conference definition (timezone and dates)
+     */
+    async getSessionsAtTime(time, day = null, conference = null) {
+        const window = resolveTimeWindow(time, day, conference);
+        if (window.error) {
+            return this.timeError(window.error);
+        }
+
+        const sessions = await this.databaseManager.getSessionsInWindow(
+            window.start.toISOString(), window.end.toISOString(), conference?.id || null
+        );
+        return {
+            success: true,
+            count: sessions.length,
+            data: sessions.map(this.formatSession),
+            message: sessions.length === 0
+                ? `No sessions scheduled ${window.label}`
+                : `Found ${sessions.length} session(s) running ${window.label}`
+        };
+    }
+
+    /**
+     * Get what's on in one room - the current session and the ones after it, or those during a given time
+     * @param {string} venueQuery - Venue name as the caller said it, matched fuzzily
+     * @param {string} time - Optional time phrase ("this afternoon", "3pm")
+     * @param {string} day - Optional day phrase
+     * @param {Object} conference - Conference definition (timezone and dates)
+     */
+    async getSessionsByVenue(venueQuery, time = null, day = null, conference = null) {
+        const conferenceId = conference?.id || null;
+        const match = await this.matchVenue(venueQuery, conferenceId);
+        if (match.error) {
+            return match.error;
+        }
+        const { venue } = match;
+
+        // Without a time: what's on now and next. With one: what's on in that room during it
+        let window = null;
+        if (time || day) {
+            // A day on its own means the whole day
+            window = resolveTimeWindow(time || 'all day', day, conference);
+            if (window.error) {
+                return this.timeError(window.error);
+            }
+        }
+
+        const from = window ? window.start : new Date();
+        const sessions = await this.databaseManager.getSessionsByVenue(
+            venue.id,
+            from.toISOString(),
+            window ? window.end.toISOString() : null,
+            conferenceId
+        );
+
+        // Open-ended "what's next" only needs the current session and a few after it
+        const selected = window ? sessions : sessions.slice(0, 4);
+        const data = selected.map(session => ({
+            ...this.formatSession(session),
+            status: new Date(session.start_time) <= from ? 'in_progress' : 'upcoming'
+        }));
+
+        const current = data.find(session => session.status === 'in_progress');
+        const when = window ? ` ${window.label}` : '';
+        let message;
+        if (data.length === 0) {
+            message = `Nothing is scheduled in ${venue.name}${when || ' for the rest of the conference'}`;
+        } else if (window) {
+            message = `Found ${data.length} session(s) in ${venue.name}${when}`;
+        } else {
+            message = (current ? `"${current.title}" is on in ${venue.name} now` : `Nothing is on in ${venue.name} right now`) +
+                (data.length > (current ? 1 : 0) ? `; ${data.length - (current ? 1 : 0)} session(s) coming up there` : '; nothing else is scheduled there');
+        }
+
+        return {
+            success: true,
+            count: data.length,
+            venue: venue.name,
+            data,
+            message
+        };
+    }
+
+    /**
+     * Search sessions on several filters at once ("beginner-friendly AI workshops tomorrow afternoon")
+     * @param {Object} filters - { topic, session_type, speaker, day, time, suitability, venue, sponsored, limit }
+     * @param {Object} conference - Conference definition (timezone, dates, id)
+     */
+    async findSessions(filters = {}, conference = null) {
+        const { topic, session_type: sessionType, speaker, day, time, suitability, venue: venueQuery, sponsored, limit = 10 } = filters;
+        const conferenceId = conference?.id || null;
+
+        if (![topic, sessionType, speaker, day, time, suitability, venueQuery, sponsored].some(value => value !== undefined)) {
+            return {
+                success: false,
+                error: 'At least one filter is required',
+                data: [],
+                message: 'No filters were given. Use get_full_schedule for the whole agenda, or ask the caller what they are looking for.'
+            };
+        }
+
+        // Read back to the caller what was searched for
+        const described = [];
+        if (topic) described.push(`about "${topic}"`);
+        if (sessionType) described.push(`of type ${sessionType}`);
+        if (speaker) described.push(`with speaker "${speaker}"`);
+        if (suitability) described.push(`for ${suitability} level`);
+        if (sponsored !== undefined) described.push(sponsored ? 'sponsored' : 'not sponsored');
+
+        let window = null;
+        if (time || day) {
+            // A day on its own means the whole day
+            window = resolveTimeWindow(time || 'all day', day, conference);
+            if (window.error) {
+                return this.timeError(window.error);
+            }
+            described.push(window.label);
+        }
+
+        let venue = null;
+        if (venueQuery) {
+            const match = await this.matchVenue(venueQuery, conferenceId);
+            if (match.error) {
+                return match.error;
+            }
+            venue = match.venue;
+            described.push(`in ${venue.name}`);
+        }
+
+        const sessions = await this.databaseManager.findSessions({
+            conferenceId,
+            topic,
+            sessionType,
+            speaker,
+            windowStart: window?.start.toISOString(),
+            windowEnd: window?.end.toISOString(),
+            suitability,
+            venueId: venue?.id,
+            sponsored,
+            limit
+        });
+
+        const criteria = described.join(', ');
+        return {
+            success: true,
+            count: sessions.length,
+            data: sessions.map(this.formatSession),
+            message: sessions.length === 0
+                ? `No sessions found ${criteria}. Suggest dropping one of the filters.`
+                : `Found ${sessions.length} session(s) ${criteria}`
+        };
+    }
+
+    /**
+     * Recommend upcoming sessions, ranked by fit with the caller's role, overlap with their interests
+     * and how soon they start
+     * @param {Object} preferences - { role, interests (comma-separated), day, limit }
+     * @param {Object} conference - Conference definition (timezone, dates, id)
+     * @param {string} locale - Caller's locale, for times and weekdays in the reasons
+     * @param {Date} now - Current time
+     */
+    async recommendSessions(preferences = {}, conference = null, locale = 'en-US', now = new Date()) {
+        const { role, interests: interestList, day, limit = 3 } = preferences;
+        const interests = (interestList || '').split(/,|;|\band\b/).map(interest => interest.trim().toLowerCase()).filter(Boolean);
+
+        if (!role && interests.length === 0) {
+            return {
+                success: false,
+                error: 'role or interests is required',
+                data: [],
+                message: 'Ask the caller what their role is (new manager, experienced manager, tech lead or senior engineer) and which topics interest them.'
+            };
+        }
+
+        let windowStart = now;
+        let windowEnd = null;
+        if (day) {
+            const window = resolveTimeWindow('all day', day, conference, now);
+            if (window.error) {
+                return this.timeError(window.error);
+            }
+            windowStart = window.start > now ? window.start : now;
+            windowEnd = window.end;
+        }
+
+        const sessions = (await this.databaseManager.findSessions({
+            conferenceId: conference?.id || null,
+            windowStart: windowStart.toISOString(),
+            windowEnd: windowEnd?.toISOString()
+        })).filter(session => new Date(session.start_time) > now);
+
+        const ranked = sessions
+            .map(session => this.scoreRecommendation(session, role, interests, conference, locale, now))
+            .filter(recommendation => recommendation.relevant)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit);
+
+        const wanted = (role ? `a ${role}` : 'someone') + (interests.length > 0 ? ` interested in ${interests.join(', ')}` : '');
+        return {
+            success: true,
+            count: ranked.length,
+            data: ranked.map(({ session, score, reasons }) => ({
+                ...this.formatSession(session),
+                score: Math.round(score * 100) / 100,
+                reason: reasons.join('; ')
+            })),
+            message: ranked.length === 0
+                ? `No upcoming sessions${day ? ` on ${day}` : ''} fit ${wanted}. Offer get_upcoming_sessions instead.`
+                : `Top ${ranked.length} session(s) for ${wanted}, best first - give the reason for each`
+        };
+    }
+
+    /**
+     * Score one session for a recommendation
+     * @returns {Object} { session, score (0-1), reasons, relevant } - relevant when it fits the role or an interest
+     */
+    scoreRecommendation(session, role, interests, conference, locale, now) {
+        const reasons = [];
+        const scores = {};
+
+        if (role) {
+            const levels = session.suitability_levels ? session.suitability_levels.toLowerCase().split(',') : [];
+            if (levels.includes(role)) {
+                scores.suitability = 1;
+                reasons.push(`aimed at ${role}s`);
+            } else {
+                // Sessions without listed levels may still suit them
+                scores.suitability = levels.length === 0 ? 0.3 : 0;
+            }
+        }
+
+        if (interests.length > 0) {
+            const headline = `${session.topic_name || ''} ${session.title || ''}`;
+            const matched = [];
+            const overlap = interests.reduce((sum, interest) => {
+                // Whole words only, so "ai" doesn't match "maintain"
+                const pattern = new RegExp(`\\b${interest.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'i');
+                let score = 0;
+                if (pattern.test(headline)) {
+                    score = 1;
+                } else if (pattern.test(session.description || '')) {
+                    score = 0.6;
+                } else if (session.topic_name && scoreMatch(interest, session.topic_name) >= 0.7) {
+                    score = 0.8;
+                }
+                if (score > 0) matched.push(interest);
+                return sum + score;
+            }, 0);
+            scores.topic = overlap / interests.length;
+            if (matched.length > 0) {
+                reasons.push(`covers ${matched.join(' and ')}`);
+            }
+        }
+
+        // Sooner is better - half the score two hours out
+        const minutesUntil = Math.round((new Date(session.start_time) - now) / 60000);
+        scores.time = 1 / (1 + minutesUntil / 120);
+        reasons.push(minutesUntil < 90
+            ? `starts in ${minutesUntil} minute${minutesUntil === 1 ? '' : 's'}`
+            : `starts at ${formatTime(session.start_time, locale, conference?.timezone)}` +
+                (sameLocalDay(session.start_time, now, conference?.timezone)
+                    ? ''
+                    : ` on ${new Date(session.start_time).toLocaleDateString(locale || 'en-US', { weekday: 'long', timeZone: conference?.timezone })}`));
+
+        const signals = Object.keys(scores);
+        const totalWeight = signals.reduce((sum, signal) => sum + RECOMMENDATION_WEIGHTS[signal], 0);
+        const score = signals.reduce((sum, signal) => sum + RECOMMENDATION_WEIGHTS[signal] * scores[signal], 0) / totalWeight;
+
+        return {
+            session,
+            score,
+            reasons,
+            relevant: scores.suitability === 1 || scores.topic > 0
+        };
+    }
+
+    /**
+     * Find the venue the caller means
+     * @returns {Object} { venue } or { error } - error is a function result asking the caller to clarify
+     */
+    async matchVenue(venueQuery, conferenceId = null) {
+        const venues = await this.databaseManager.getVenues(conferenceId);
+        const venueNames = venues.map(venue => venue.name);
+
+        const matches = rankMatches(venueQuery, venues, { getName: venue => venue.name });
+        if (matches.length === 0) {
+            return {
+                error: {
+                    success: false,
+                    error: `No venue matching "${venueQuery}"`,
+                    allowed: venueNames,
+                    data: [],
+                    message: `There is no room called "${venueQuery}". The rooms are: ${venueNames.join(', ')}. Ask the caller which one they mean.`
+                }
+            };
+        }
+
+        // Nothing matches well - offer the closest rooms rather than answer for the wrong one
+        const [best, runnerUp] = matches;
+        if (best.score < CONFIDENT_VENUE_SCORE) {
+            const candidates = matches.slice(0, 3).map(match => match.item.name);
+            return {
+                error: {
+                    success: false,
+                    error: `No confident venue match for "${venueQuery}"`,
+                    allowed: candidates,
+                    data: [],
+                    message: candidates.length === 1
+                        ? `There is no room called "${venueQuery}" - the closest is ${candidates[0]}. Check with the caller that it's the one they mean.`
+                        : `There is no room called "${venueQuery}" - the closest are ${candidates.join(', ')}. Ask the caller which one they mean.`
+                }
+            };
+        }
+
+        // Two rooms match about equally well ("the stage") - let the caller pick
+        if (runnerUp && best.score < 0.95 && best.score - runnerUp.score < 0.05) {
+            const candidates = matches.filter(match => best.score - match.score < 0.05).map(match => match.item.name);
+            return {
+                error: {
+                    success: false,
+                    error: `"${venueQuery}" matches more than one venue`,
+                    allowed: candidates,
+                    data: [],
+                    message: `"${venueQuery}" could be ${candidates.join(' or ')}. Ask the caller which one they mean.`
+                }
+            };
+        }
+
+        return { venue: best.item };
+    }
+
+    timeError(error) {
+        return {
+            success: false,
+            error,
+            data: [],
+            message: `${error}. Ask the caller which time and day they mean.`
+        };
+    }
+
+    /**
+     * Save a session to the caller's agenda, warning about overlaps with sessions already on it
+     * @param {string} sessionQuery - Title, speaker or keyword
+     * @param {number} sessionId - Session id from an earlier result (takes precedence)
+     * @param {string} callerNumber - Whose agenda
+     * @param {Object} conference - Conference definition
+     * @param {string} locale - Caller's locale, for times in the message
+     */
+    async addToAgenda(sessionQuery, sessionId, callerNumber, conference = null, locale = 'en-US') {
+        if (!this.hasCallerNumber(callerNumber)) {
+            return this.noCallerNumberError();
+        }
+        const conferenceId = conference?.id || null;
+
+        const candidates = sessionId
+            ? await this.databaseManager.findSessions({ sessionId, conferenceId })
+            : await this.databaseManager.getAllSessions(conferenceId);
+        const match = this.pickSession(sessionQuery, sessionId, candidates, conference, locale);
+        if (match.error) {
+            return match.error;
+        }
+        const { session } = match;
+
+        const agenda = await this.databaseManager.getAgenda(callerNumber, conferenceId);
+        if (agenda.some(saved => saved.id === session.id)) {
+            return {
+                success: true,
+                count: 1,
+                data: [this.formatSession(session)],
+                message: `"${session.title}" is already on their agenda`
+            };
+        }
+
+        const conflicts = agenda.filter(saved => sessionsOverlap(saved, session));
+        await this.databaseManager.addAgendaSession(callerNumber, session.id, conferenceId);
+
+        const timeZone = conference?.timezone;
+        let message = `Added "${session.title}" (${formatTime(session.start_time, locale, timeZone)}` +
+            `${session.venue_name ? `, ${session.venue_name}` : ''}) to their agenda`;
+        if (conflicts.length > 0) {
+            message += `. Warn the caller it overlaps with ` +
+                conflicts.map(saved => `"${saved.title}" at ${formatTime(saved.start_time, locale, timeZone)}`).join(' and ') +
+                ', already on their agenda, and offer to remove one';
+        }
+
+        return {
+            success: true,
+            count: 1,
+            data: [this.formatSession(session)],
+            conflicts: conflicts.map(this.formatSession),
+            message
+        };
+    }
+
+    /**
+     * Remove a session from the caller's agenda
+     */
+    async removeFromAgenda(sessionQuery, sessionId, callerNumber, conference = null, locale = 'en-US') {
+        if (!this.hasCallerNumber(callerNumber)) {
+            return this.noCallerNumberError();
+        }
+
+        const agenda = await this.databaseManager.getAgenda(callerNumber, conference?.id || null);
+        if (agenda.length === 0) {
+            return { success: true, count: 0, data: [], message: 'Their agenda is already empty' };
+        }
+
+        // Only sessions on the agenda can be removed
+        const match = this.pickSession(sessionQuery, sessionId, agenda, conference, locale);
+        if (match.error) {
+            match.error.message += ` Their agenda has: ${agenda.map(saved => `"${saved.title}"`).join(', ')}.`;
+            return match.error;
+        }
+        const { session } = match;
+
+        await this.databaseManager.removeAgendaSession(callerNumber, session.id);
+        return {
+            success: true,
+            count: 1,
+            data: [this.formatSession(session)],
+            message: `Removed "${session.title}" from their agenda`
+        };
+    }
+
+    /**
+     * Read back the caller's agenda
+     * @param {string} scope - 'next' (in progress + next), 'remaining' (not yet finished) or 'all'
+     */
+    async getMyAgenda(scope = 'remaining', callerNumber, conference = null) {
+        if (!this.hasCallerNumber(callerNumber)) {
+            return this.noCallerNumberError();
+        }
+
+        const agenda = await this.databaseManager.getAgenda(callerNumber, conference?.id || null);
+        const now = new Date();
+
+        let selected = scope === 'all' ? agenda : agenda.filter(session => new Date(session.end_time) > now);
+        if (scope === 'next') {
+            const inProgress = selected.filter(session => new Date(session.start_time) <= now);
+            const upcoming = selected.find(session => new Date(session.start_time) > now);
+            selected = upcoming ? [...inProgress, upcoming] : inProgress;
+        }
+
+        const data = selected.map(session => ({
+            ...this.formatSession(session),
+            status: new Date(session.end_time) <= now ? 'finished'
+                : new Date(session.start_time) <= now ? 'in_progress' : 'upcoming'
+        }));
+
+        let message;
+        if (agenda.length === 0) {
+            message = 'Their agenda is empty. Offer to add sessions they are interested in';
+        } else if (data.length === 0) {
+            message = `All ${agenda.length} session(s) on their agenda have finished`;
+        } else if (scope === 'next') {
+            const next = data.find(session => session.status === 'upcoming');
+            const current = data.find(session => session.status === 'in_progress');
+            message = [
+                current ? `"${current.title}" is on now` : null,
+                next ? `next on their agenda is "${next.title}"` : 'nothing else is on their agenda after that'
+            ].filter(Boolean).join('; ');
+        } else {
+            message = `Their agenda has ${data.length} ${scope === 'all' ? '' : 'remaining '}session(s)`;
+        }
+
+        // Point out clashes the caller may have missed
+        const clashes = [];
+        for (let i = 0; i < selected.length; i++) {
+            for (let j = i + 1; j < selected.length; j++) {
+                if (sessionsOverlap(selected[i], selected[j])) {
+                    clashes.push(`"${selected[i].title}" and "${selected[j].title}"`);
+                }
+            }
+        }
+        if (clashes.length > 0) {
+            message += `. Note these overlap: ${clashes.join('; ')}`;
+        }
+
+        return {
+            success: true,
+            count: data.length,
+            data,
+            message
+        };
+    }
+
+    /**
+     * Pick the one session the caller means from candidates (by id, or by title, speaker or keyword)
+     * @returns {Object} { session } or { error } - error is a function result asking the caller to clarify
+     */
+    pickSession(sessionQuery, sessionId, candidates, conference = null, locale = 'en-US') {
+        if (!sessionId && !sessionQuery) {
+            return { error: { success: false, error: 'session_query or session_id is required', data: [], message: 'Ask the caller which session they mean.' } };
+        }
+
+        let matches;
+        if (sessionId) {
+            matches = candidates.filter(session => session.id === sessionId);
+        } else {
+            const query = sessionQuery.toLowerCase();
+            const fields = session => [session.title, session.speaker_name, session.topic_name, session.session_type]
+                .filter(Boolean).map(field => field.toLowerCase());
+
+            // Exact title, then the query anywhere in a field, then every meaningful word somewhere, then fuzzy title
+            const words = (query.match(/[\p{L}\p{N}]+/gu) || []).filter(word => !LOOKUP_FILLER_WORDS.has(word));
+            matches = candidates.filter(session => session.title?.toLowerCase() === query);
+            if (matches.length === 0) {
+                matches = candidates.filter(session => fields(session).some(field => field.includes(query)));
+            }
+            if (matches.length === 0 && words.length > 0) {
+                matches = candidates.filter(session => {
+                    const text = fields(session).join(' ');
+                    return words.every(word => text.includes(word));
+                });
+            }
+            if (matches.length === 0) {
+                matches = rankMatches(sessionQuery, candidates, { getName: session => session.title }).slice(0, 1).map(match => match.item);
+            }
+        }
+
+        if (matches.length === 0) {
+            return {
+                error: {
+                    success: false,
+                    error: `No session matching "${sessionQuery || sessionId}"`,
+                    data: [],
+                    message: `No session matches "${sessionQuery || sessionId}". Ask the caller for the title or speaker.`
+                }
+            };
+        }
+        if (matches.length > 1) {
+            const options = matches.slice(0, 5);
+            return {
+                error: {
+                    success: false,
+                    error: `"${sessionQuery}" matches ${matches.length} sessions`,
+                    data: options.map(this.formatSession),
+                    message: `"${sessionQuery}" matches ${matches.length} sessions: ` +
+                        options.map(session => `"${session.title}" at ${formatTime(session.start_time, locale, conference?.timezone)}`).join(', ') +
+                        '. Ask the caller which one they mean, then call again with its session_id.'
+                }
+            };
+        }
+
+        return { session: matches[0] };
+    }
+
+    hasCallerNumber(callerNumber) {
+        return !!callerNumber && callerNumber !== 'unknown';
+    }
+
+    noCallerNumberError() {
+        return {
+            success: false,
+            error: 'Caller number unavailable',
+            data: [],
+            message: "The caller's number is withheld, so a personal agenda can't be saved for them. Suggest they note the session down instead."
+        };
+    }
+
     /**
      * Search sessions by topic
      */
-    async searchSessionsByTopic(topic) {
+    async searchSessionsByTopic(topic, conferenceId = null) {
         if (!topic) {
             return { success: false, error: "Topic is required", data: [] };
         }
 
-        const sessions = await this.databaseManager.getSessionsByTopic(topic);
+        const sessions = await this.databaseManager.getSessionsByTopic(topic, conferenceId);
         return {
             success: true,
             count: sessions.length,
@@ -227,12 +1179,12 @@ class RealtimeFunctions {
     /**
      * Search sessions by speaker
      */
-    async searchSessionsBySpeaker(speakerName) {
+    async searchSessionsBySpeaker(speakerName, conferenceId = null) {
         if (!speakerName) {
             return { success: false, error: "Speaker name is required", data: [] };
         }
 
-        const sessions = await this.databaseManager.getSessionsBySpeaker(speakerName);
+        const sessions = await this.databaseManager.getSessionsBySpeaker(speakerName, conferenceId);
         return {
             success: true,
             count: sessions.length,
@@ -244,17 +1196,17 @@ class RealtimeFunctions {
     /**
      * Get session details
      */
-    async getSessionDetails(sessionQuery) {
+    async getSessionDetails(sessionQuery, conferenceId = null) {
         if (!sessionQuery) {
             return { success: false, error: "Session query is required", data: [] };
         }
 
         // Try multiple search strategies
-        let sessions = await this.databaseManager.searchSessions(sessionQuery);
+        let sessions = await this.databaseManager.searchSessions(sessionQuery, conferenceId);
         
         if (sessions.length === 0) {
             // Try searching by speaker if no sessions found
-            sessions = await this.databaseManager.getSessionsBySpeaker(sessionQuery);
+            sessions = await this.databaseManager.getSessionsBySpeaker(sessionQuery, conferenceId);
         }
 
         return {
@@ -268,12 +1220,12 @@ class RealtimeFunctions {
     /**
      * Search sessions by type
      */
-    async searchSessionsByType(sessionType) {
+    async searchSessionsByType(sessionType, conferenceId = null) {
         if (!sessionType) {
             return { success: false, error: "Session type is required", data: [] };
         }
 
-        const sessions = await this.databaseManager.getSessionsByType(sessionType);
+        const sessions = await this.databaseManager.getSessionsByType(sessionType, conferenceId);
         return {
             success: true,
             count: sessions.length,
@@ -285,8 +1237,8 @@ class RealtimeFunctions {
     /**
      * Get full schedule
      */
-    async getFullSchedule(day = 'all') {
-        const sessions = await this.databaseManager.getAllSessions();
+    async getFullSchedule(day = 'all', conferenceId = null) {
+        const sessions = await this.databaseManager.getAllSessions(conferenceId);
         
         let filteredSessions = sessions;
         if (day === 'today') {
@@ -314,12 +1266,12 @@ class RealtimeFunctions {
     /**
      * General search
      */
-    async searchGeneral(query) {
+    async searchGeneral(query, conferenceId = null) {
         if (!query) {
             return { success: false, error: "Search query is required", data: [] };
         }
 
-        const sessions = await this.databaseManager.searchSessions(query);
+        const sessions = await this.databaseManager.searchSessions(query, conferenceId);
         return {
             success: true,
             count: sessions.length,
@@ -328,6 +1280,56 @@ class RealtimeFunctions {
         };
     }
 
+    /**
+     * Resolve a staff transfer target
+     * The voice handler performs the actual SIP REFER once the handoff message has been spoken
+     */
+    transferToStaff(destination, reason) {
+        const route = this.staffRoutes[destination];
+        if (!route) {
+            return { success: false, error: `Unknown staff destination: ${destination}`, data: [] };
+        }
+
+        if (!route.targetUri) {
+            return {
+                success: false,
+                error: `No staff line is configured for ${destination}`,
+                data: [],
+                message: `Transfers to ${route.label} aren't available right now. Apologize and offer to help another way.`
+            };
+        }
+
+        return {
+            success: true,
+            count: 0,
+            data: [],
+            action: {
+                type: 'transfer',
+                destination,
+                targetUri: route.targetUri,
+                reason: reason || null
+            },
+            message: `Tell the caller you're transferring them to ${route.label} now and to please stay on the line. Keep it to one short sentence.`
+        };
+    }
+
+    /**
+     * End the call once the goodbye has been spoken
+     * The voice handler hangs up after the assistant's closing response finishes playing
+     */
+    endCall(reason) {
+        return {
+            success: true,
+            count: 0,
+            data: [],
+            action: {
+                type: 'hangup',
+                reason
+            },
+            message: 'Say a brief, friendly goodbye (one sentence). Do not ask any further questions.'
+        };
+    }
+
     /**
      * Format session data for consistent response structure
      * @param {Object} session - Raw session data from database
@@ -357,17 +1359,49 @@ class RealtimeFunctions {
     }
 }
 
+/**
+ * Parse "name=ms,name=ms" per-function timeout overrides
+ */
+function parseFunctionTimeouts(value) {
+    const timeouts = {};
+    for (const entry of (value || '').split(',')) {
+        const [name, ms] = entry.split('=').map(part => part && part.trim());
+        if (name && parseInt(ms) > 0) {
+            timeouts[name] = parseInt(ms);
+        }
+    }
+    return timeouts;
+}
+
+/**
+ * Whether two sessions' times overlap
+ */
+function sessionsOverlap(a, b) {
+    return new Date(a.start_time) < new Date(b.end_time) && new Date(b.start_time) < new Date(a.end_time);
+}
+
+/**
+ * Whether an instant falls on the same local date as another in the timezone
+ */
+function sameLocalDay(isoString, other, timeZone) {
+    const localDate = value => new Date(value).toLocaleDateString('en-CA', { timeZone });
+    return localDate(isoString) === localDate(other);
+}
+
 /**
  * Helper function to format time
+ * @param {string} isoString - Session time
+ * @param {string} locale - Caller's locale (12-hour clock for en-US, 24-hour for most others)
+ * @param {string} timeZone - Conference timezone (server timezone when omitted)
  */
-function formatTime(isoString) {
+function formatTime(isoString, locale = 'en-US', timeZone = undefined) {
     if (!isoString) return null;
     
     const date = new Date(isoString);
-    return date.toLocaleTimeString('en-US', { 
+    return date.toLocaleTimeString(locale || 'en-US', { 
         hour: 'numeric', 
         minute: '2-digit',
-        hour12: true 
+        timeZone
     });
 }
 
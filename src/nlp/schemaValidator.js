@@ -0,0 +1,123 @@
+/**
+ * Schema Validator
+ * Checks function arguments against the JSON schemas declared in RealtimeFunctions.
+ * Covers the subset of JSON Schema those declarations use (type, enum, default, required,
+ * minimum, maximum, maxLength) and coerces the near-misses models tend to send
+ * ("5" for 5, "Workshop" for "workshop", 42 for "42")
+ */
+
+/**
+ * Validate and normalize arguments for one function
+ * @param {Object} schema - The function's "parameters" schema
+ * @param {Object} args - Parsed arguments
+ * @returns {Object} { parameters, errors } - parameters with defaults applied; errors is empty when valid
+ *   Each error: { parameter, message, allowed? }
+ */
+function validateArguments(schema, args) {
+    const properties = schema?.properties || {};
+    const required = schema?.required || [];
+    const parameters = {};
+    const errors = [];
+
+    for (const [name, property] of Object.entries(properties)) {
+        const value = args[name];
+
+        // Models often send null or "" for parameters they mean to leave out
+        if (value === undefined || value === null || value === '') {
+            if (property.default !== undefined) {
+                parameters[name] = property.default;
+            } else if (required.includes(name)) {
+                errors.push(describeError(name, property, 'is required'));
+            }
+            continue;
+        }
+
+        const { value: coerced, error } = coerceValue(value, property);
+        if (error) {
+            errors.push(describeError(name, property, error));
+            continue;
+        }
+        parameters[name] = coerced;
+    }
+
+    // Parameters the schema doesn't declare never reach the implementation
+    const unknown = Object.keys(args).filter(name => !(name in properties));
+    if (unknown.length > 0) {
+        console.warn(`⚠️  Ignoring undeclared argument(s): ${unknown.join(', ')}`);
+    }
+
+    return { parameters, errors };
+}
+
+/**
+ * Coerce a value to the property's type and check its constraints
+ * @returns {Object} { value } or { error }
+ */
+function coerceValue(value, property) {
+    let coerced = value;
+
+    switch (property.type) {
+        case 'string':
+            if (typeof value === 'number' || typeof value === 'boolean') {
+                coerced = String(value);
+            } else if (typeof value !== 'string') {
+                return { error: 'must be a string' };
+            }
+            coerced = coerced.trim();
+            if (coerced === '') {
+                return { error: 'must not be empty' };
+            }
+            if (property.maxLength !== undefined && coerced.length > property.maxLength) {
+                return { error: `must be at most ${property.maxLength} characters` };
+            }
+            break;
+
+        case 'integer':
+        case 'number':
+            coerced = typeof value === 'string' ? Number(value.trim()) : value;
+            if (typeof coerced !== 'number' || !Number.isFinite(coerced)) {
+                return { error: `must be ${property.type === 'integer' ? 'a whole number' : 'a number'}` };
+            }
+            if (property.type === 'integer' && !Number.isInteger(coerced)) {
+                return { error: 'must be a whole number' };
+            }
+            if (property.minimum !== undefined && coerced < property.minimum) {
+                return { error: `must be at least ${property.minimum}` };
+            }
+            if (property.maximum !== undefined && coerced > property.maximum) {
+                return { error: `must be at most ${property.maximum}` };
+            }
+            break;
+
+        case 'boolean':
+            if (value === 'true' || value === 'false') {
+                coerced = value === 'true';
+            } else if (typeof value !== 'boolean') {
+                return { error: 'must be true or false' };
+            }
+            break;
+    }
+
+    if (property.enum) {
+        // Match enum values case-insensitively and hand back the canonical spelling
+        const match = property.enum.find(option =>
+            String(option).toLowerCase() === String(coerced).toLowerCase()
+        );
+        if (match === undefined) {
+            return { error: `must be one of: ${property.enum.join(', ')}` };
+        }
+        coerced = match;
+    }
+
+    return { value: coerced };
+}
+
+function describeError(name, property, message) {
+    const error = { parameter: name, message: `${name} ${message}` };
+    if (property.enum) {
+        error.allowed = property.enum;
+    }
+    return error;
+}
+
+module.exports = { validateArguments };
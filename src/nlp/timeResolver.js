@@ -0,0 +1,281 @@
+/**
+ * Time Resolver
+ * Turns what callers say about time ("3pm tomorrow", "after lunch on day two", "15:30")
+ * into an instant or window in the conference's timezone
+ */
+
+const END_OF_DAY = 24 * 60 - 1;
+
+// Named parts of the conference day, as minutes after local midnight [start, end]
+// Checked in order, so "after lunch" wins over "lunch"
+const PERIODS = [
+    { pattern: /\b(all|whole) day\b/, label: 'all day', range: [0, END_OF_DAY] },
+    { pattern: /\bafter lunch\b/, label: 'after lunch', range: [13 * 60 + 30, 15 * 60] },
+    { pattern: /\bbefore lunch\b/, label: 'before lunch', range: [10 * 60 + 30, 12 * 60] },
+    { pattern: /\b(lunch|lunchtime)\b/, label: 'over lunch', range: [12 * 60, 13 * 60 + 30] },
+    { pattern: /\bmorning\b/, label: 'in the morning', range: [8 * 60, 12 * 60] },
+    { pattern: /\bafternoon\b/, label: 'in the afternoon', range: [12 * 60, 17 * 60] },
+    { pattern: /\b(evening|tonight)\b/, label: 'in the evening', range: [17 * 60, 21 * 60] }
+];
+
+const NUMBER_WORDS = { one: 1, two: 2, three: 3, four: 4, five: 5 };
+const ORDINAL_WORDS = { first: 1, second: 2, third: 3, fourth: 4, fifth: 5, '1st': 1, '2nd': 2, '3rd': 3, '4th': 4, '5th': 5 };
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+/**
+ * Resolve a time phrase and day to an instant or window
+ * @param {string} time - "3pm", "15:30", "noon", "after lunch", "in an hour", or an ISO date-time
+ * @param {string} day - "today", "tomorrow", "day 2", "second day", a weekday or YYYY-MM-DD (optional - may also be part of time)
+ * @param {Object} conference - Conference definition ({ timezone, dates }), or null for the server's timezone
+ * @param {Date} now - Current time
+ * @returns {Object} { start, end, date, isWindow, label } or { error }
+ */
+function resolveTimeWindow(time, day = null, conference = null, now = new Date()) {
+    const timeZone = conference?.timezone;
+    const text = normalize(time);
+    if (!text) {
+        return { error: 'A time is required' };
+    }
+
+    // Absolute ISO date-time - an explicit offset wins over the conference timezone
+    const iso = text.match(/^(\d{4}-\d{2}-\d{2})t(\d{2}):(\d{2})(?::\d{2}(?:\.\d+)?)?(z|[+-]\d{2}:?\d{2})?$/);
+    if (iso) {
+        const instant = iso[4]
+            ? new Date(time.trim())
+            : zonedTimeToUtc(iso[1], Number(iso[2]) * 60 + Number(iso[3]), timeZone);
+        if (isNaN(instant.getTime())) {
+            return { error: `"${time}" is not a valid date and time` };
+        }
+        return describe(instant, instant, getLocalDate(instant, timeZone), false, null, timeZone);
+    }
+
+    // Relative to now - "now", "in 30 minutes", "in an hour"
+    if (/^(right )?now$/.test(text)) {
+        return describe(now, now, getLocalDate(now, timeZone), false, null, timeZone);
+    }
+    const relative = text.match(/\bin (an?|half an|\d+) (minutes?|mins?|hours?)\b/);
+    if (relative) {
+        const amount = relative[1] === 'half an' ? 0.5 : (/^an?$/.test(relative[1]) ? 1 : Number(relative[1]));
+        const instant = new Date(now.getTime() + amount * (relative[2].startsWith('h') ? 60 : 1) * 60 * 1000);
+        return describe(instant, instant, getLocalDate(instant, timeZone), false, null, timeZone);
+    }
+
+    const date = resolveDay(day ? normalize(day) : text, conference, now, !day);
+    if (date.error) {
+        return date;
+    }
+
+    for (const period of PERIODS) {
+        if (period.pattern.test(text)) {
+            const [startMinutes, endMinutes] = period.range;
+            return describe(
+                zonedTimeToUtc(date.date, startMinutes, timeZone),
+                zonedTimeToUtc(date.date, endMinutes, timeZone),
+                date.date, true, period.label, timeZone
+            );
+        }
+    }
+
+    const clock = parseClockTime(stripDay(text));
+    if (!clock) {
+        return { error: `Couldn't understand the time "${time}"` };
+    }
+
+    if (clock.modifier === 'after') {
+        return describe(
+            zonedTimeToUtc(date.date, clock.minutes, timeZone),
+            zonedTimeToUtc(date.date, END_OF_DAY, timeZone),
+            date.date, true, null, timeZone
+        );
+    }
+    if (clock.modifier === 'before') {
+        return describe(
+            zonedTimeToUtc(date.date, 0, timeZone),
+            zonedTimeToUtc(date.date, clock.minutes, timeZone),
+            date.date, true, null, timeZone
+        );
+    }
+
+    const instant = zonedTimeToUtc(date.date, clock.minutes, timeZone);
+    return describe(instant, instant, date.date, false, null, timeZone);
+}
+
+/**
+ * Work out which local date (YYYY-MM-DD) a day phrase means
+ * @param {boolean} optional - The text is the time phrase, which may not mention a day at all
+ * @returns {Object} { date } or { error }
+ */
+function resolveDay(text, conference, now, optional) {
+    const timeZone = conference?.timezone;
+    const dates = conference?.dates || [];
+    const today = getLocalDate(now, timeZone);
+
+    const isoDate = text.match(/\b(\d{4}-\d{2}-\d{2})\b/);
+    if (isoDate) {
+        return { date: isoDate[1] };
+    }
+    if (/\btoday\b/.test(text)) {
+        return { date: today };
+    }
+    if (/\btomorrow\b/.test(text)) {
+        return { date: addDays(today, 1) };
+    }
+
+    // "day 2", "day two", "second day", "last day"
+    const dayNumber = text.match(/\bday (\d|one|two|three|four|five)\b/) || text.match(/\b(first|second|third|fourth|fifth|1st|2nd|3rd|4th|5th) day\b/);
+    const lastDay = /\b(last|final) day\b/.test(text);
+    if (dayNumber || lastDay) {
+        const index = lastDay
+            ? dates.length
+            : Number(dayNumber[1]) || NUMBER_WORDS[dayNumber[1]] || ORDINAL_WORDS[dayNumber[1]];
+        if (index < 1 || index > dates.length) {
+            return { error: dates.length > 0 ? `The conference only runs for ${dates.length} day(s)` : 'The conference dates are not configured' };
+        }
+        return { date: dates[index - 1] };
+    }
+
+    const weekday = WEEKDAYS.findIndex(name => new RegExp(`\\b${name}\\b`).test(text));
+    if (weekday >= 0) {
+        // Prefer the conference day that falls on that weekday, otherwise the next one from today
+        const conferenceDate = dates.find(date => getWeekday(date) === weekday);
+        if (conferenceDate) {
+            return { date: conferenceDate };
+        }
+        return { date: addDays(today, (weekday - getWeekday(today) + 7) % 7) };
+    }
+
+    if (!optional) {
+        return { error: `Couldn't understand the day "${text}"` };
+    }
+
+    // No day mentioned - today during the conference, otherwise its next day
+    if (dates.length === 0 || dates.includes(today)) {
+        return { date: today };
+    }
+    return { date: dates.find(date => date > today) || today };
+}
+
+/**
+ * Parse "3pm", "3:30 p.m.", "15:00", "noon", "after 4", "before 11am" into minutes after midnight
+ * @returns {Object|null} { minutes, modifier }
+ */
+function parseClockTime(text) {
+    const modifier = (text.match(/\b(after|before)\b/) || [])[1] || null;
+
+    if (/\b(noon|midday)\b/.test(text)) {
+        return { minutes: 12 * 60, modifier };
+    }
+    if (/\bmidnight\b/.test(text)) {
+        return { minutes: 0, modifier };
+    }
+
+    const match = text.match(/\b(\d{1,2})(?:[:.](\d{2}))?\s*(am|pm|o'?clock)?\b/);
+    if (!match) return null;
+
+    let hours = Number(match[1]);
+    const minutes = Number(match[2] || 0);
+    const meridiem = match[3];
+    if (hours > 23 || minutes > 59) return null;
+
+    if (meridiem === 'pm' && hours < 12) {
+        hours += 12;
+    } else if (meridiem === 'am' && hours === 12) {
+        hours = 0;
+    } else if ((!meridiem || meridiem.includes('clock')) && hours >= 1 && hours <= 7 && !match[1].startsWith('0')) {
+        // "at 3" or "3:30" during a conference means the afternoon (24-hour "03:30" stays as is)
+        hours += 12;
+    }
+
+    return { minutes: hours * 60 + minutes, modifier };
+}
+
+/**
+ * Remove day phrases so their numbers aren't read as the hour ("day 2 at 3pm", "2025-10-16 15:00")
+ */
+function stripDay(text) {
+    return text
+        .replace(/\b\d{4}-\d{2}-\d{2}\b/g, ' ')
+        .replace(/\bday (\d|one|two|three|four|five)\b/g, ' ')
+        .replace(/\b(first|second|third|fourth|fifth|1st|2nd|3rd|4th|5th|last|final) day\b/g, ' ');
+}
+
+function describe(start, end, date, isWindow, periodLabel, timeZone) {
+    const formatClock = value => value.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', timeZone });
+    const dayLabel = new Date(`${date}T12:00:00Z`).toLocaleDateString('en-US', {
+        timeZone: 'UTC', weekday: 'long', month: 'long', day: 'numeric'
+    });
+
+    let when;
+    if (periodLabel) {
+        when = `${periodLabel} (${formatClock(start)} - ${formatClock(end)})`;
+    } else if (isWindow) {
+        when = `between ${formatClock(start)} and ${formatClock(end)}`;
+    } else {
+        when = `at ${formatClock(start)}`;
+    }
+
+    return { start, end, date, isWindow, label: `${when} on ${dayLabel}` };
+}
+
+function normalize(text) {
+    return String(text || '')
+        .toLowerCase()
+        .replace(/\b([ap])\.\s?m\.?/g, '$1m')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Local date (YYYY-MM-DD) of an instant in a timezone
+ */
+function getLocalDate(date, timeZone) {
+    // en-CA formats dates as YYYY-MM-DD
+    return new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(date);
+}
+
+/**
+ * The instant when the wall clock in timeZone shows the given date and time
+ */
+function zonedTimeToUtc(date, minutes, timeZone) {
+    const [year, month, day] = date.split('-').map(Number);
+    const wallClock = Date.UTC(year, month - 1, day, 0, minutes);
+
+    // Correct by the zone's offset, then once more in case that lands across a DST change
+    let instant = wallClock - getTimeZoneOffset(wallClock, timeZone);
+    instant = wallClock - getTimeZoneOffset(instant, timeZone);
+    return new Date(instant);
+}
+
+/**
+ * Offset (ms) of timeZone from UTC at the given instant
+ */
+function getTimeZoneOffset(timestamp, timeZone) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+    }).formatToParts(new Date(timestamp)).forEach(part => {
+        parts[part.type] = Number(part.value);
+    });
+
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return asUtc - (timestamp - (timestamp % 1000));
+}
+
+function addDays(date, days) {
+    const value = new Date(`${date}T12:00:00Z`);
+    value.setUTCDate(value.getUTCDate() + days);
+    return value.toISOString().slice(0, 10);
+}
+
+function getWeekday(date) {
+    return new Date(`${date}T12:00:00Z`).getUTCDay();
+}
+
+module.exports = { resolveTimeWindow };
@@ -1,10 +1,15 @@
 const express = require('express');
+const { parseSipNumber } = require('../voice/sipUtils');
 const router = express.Router();
 
 class AdminRoutes {
-    constructor(databaseManager, leadDevScraper) {
+    constructor(databaseManager, leadDevScraper, conferenceRegistry, instructionBuilder, promptRegistry, realtimeSettings) {
         this.databaseManager = databaseManager;
         this.leadDevScraper = leadDevScraper;
+        this.conferenceRegistry = conferenceRegistry;
+        this.instructionBuilder = instructionBuilder;
+        this.promptRegistry = promptRegistry;
+        this.realtimeSettings = realtimeSettings;
         this.lastScrapeTime = null;
         this.scrapeInProgress = false;
         this.autoRefreshInitialized = false;
@@ -34,13 +39,10 @@ class AdminRoutes {
     }
 
     isConferenceDay() {
-        // LeadDev New York is October 15-16, 2025
-        const conferenceDates = [
-            process.env.CONFERENCE_DATE || '2025-10-15',
-            process.env.CONFERENCE_DATE_2 || '2025-10-16'
-        ];
-        const today = new Date().toISOString().split('T')[0];
-        return conferenceDates.includes(today);
+        // True if any configured conference is running today (in its own timezone)
+        return this.conferenceRegistry.getAll().some(conference =>
+            this.conferenceRegistry.isConferenceDay(conference)
+        );
     }
 
     async performScrape() {
@@ -56,9 +58,20 @@ class AdminRoutes {
             // Get current session count
             const beforeCount = await this.getCurrentSessionCount();
             
-            // Scrape new data
-            const sessions = await this.leadDevScraper.scrapeConferenceData();
+            // Scrape new data for every conference with an agenda source
+            for (const conference of this.conferenceRegistry.getAll()) {
+                if (!conference.agendaSource?.url) continue;
+
+                try {
+                    await this.leadDevScraper.scrapeConferenceData(conference);
+                } catch (error) {
+                    console.error(`❌ Refresh failed for ${conference.name}:`, error.message);
+                }
+            }
             
+            // Regenerate system instructions from the fresh data
+            await this.instructionBuilder.refreshAll();
+
             // Get new session count
             const afterCount = await this.getCurrentSessionCount();
             
@@ -87,7 +100,26 @@ class AdminRoutes {
         }
     }
 
+    /**
+     * Middleware: require the ADMIN_KEY bearer token when one is configured
+     */
+    requireAdmin(req, res, next) {
+        const authKey = req.headers.authorization || req.query.key;
+        const expectedKey = process.env.ADMIN_KEY;
+
+        if (expectedKey && authKey !== `Bearer ${expectedKey}`) {
+            return res.status(401).json({
+                success: false,
+                message: 'Unauthorized'
+            });
+        }
+
+        next();
+    }
+
     setupRoutes() {
+        const requireAdmin = this.requireAdmin.bind(this);
+
         // Manual refresh endpoint
         router.post('/refresh-data', async (req, res) => {
             try {
@@ -132,10 +164,16 @@ class AdminRoutes {
                     scrapeInProgress: this.scrapeInProgress,
                     isStale,
                     autoRefreshEnabled: process.env.AUTO_SCRAPE === 'true',
-                    conferenceDates: [
-                        process.env.CONFERENCE_DATE || '2025-10-15',
-                        process.env.CONFERENCE_DATE_2 || '2025-10-16'
-                    ],
+                    conferences: this.conferenceRegistry.getAll().map(conference => ({
+                        id: conference.id,
+                        name: conference.name,
+                        dates: conference.dates,
+                        timezone: conference.timezone,
+                        dialedNumbers: conference.dialedNumbers,
+                        agendaUrl: conference.agendaSource?.url || null,
+                        isDefault: conference.id === this.conferenceRegistry.defaultConferenceId,
+                        isConferenceDay: this.conferenceRegistry.isConferenceDay(conference)
+                    })),
                     isConferenceDay: this.isConferenceDay()
                 });
 
@@ -177,6 +215,189 @@ class AdminRoutes {
             }
         });
 
+        // Preview the generated system instructions for a conference
+        router.get('/instructions', requireAdmin, async (req, res) => {
+            try {
+                const conference = this.conferenceRegistry.get(req.query.conference_id);
+                const variant = req.query.version ? this.promptRegistry.get(req.query.version) : null;
+                if (req.query.version && !variant) {
+                    return res.status(404).json({
+                        success: false,
+                        message: `Unknown prompt version. Available: ${this.promptRegistry.getAll().map(v => v.id).join(', ')}`
+                    });
+                }
+
+                if (req.query.refresh === 'true') {
+                    await this.instructionBuilder.refresh(conference);
+                }
+
+                const catalog = this.instructionBuilder.getCatalog(conference);
+                res.json({
+                    success: true,
+                    conferenceId: conference.id,
+                    promptVersion: variant?.id || null,
+                    refreshedAt: catalog.refreshedAt,
+                    sessionTypes: catalog.sessionTypes,
+                    topics: catalog.topics,
+                    venues: catalog.venues,
+                    language: this.instructionBuilder.languageDetector.getLanguage(req.query.language).code,
+                    instructions: this.instructionBuilder.build(conference, {
+                        template: variant?.systemTemplate,
+                        language: req.query.language
+                    })
+                });
+
+            } catch (error) {
+                res.status(500).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+
+        // Effective Realtime session settings per conference, and the session fields sent when accepting its calls
+        router.get('/realtime-settings', requireAdmin, (req, res) => {
+            const conferences = req.query.conference_id
+                ? [this.conferenceRegistry.get(req.query.conference_id)]
+                : this.conferenceRegistry.getAll();
+
+            res.json({
+                success: true,
+                defaults: this.realtimeSettings.defaults,
+                conferences: conferences.map(conference => ({
+                    id: conference.id,
+                    overrides: conference.realtime,
+                    effective: this.realtimeSettings.get(conference),
+                    session: this.realtimeSettings.toSessionConfig(this.realtimeSettings.get(conference))
+                })),
+                errors: this.realtimeSettings.errors
+            });
+        });
+
+        // Recent call records
+        router.get('/calls', requireAdmin, async (req, res) => {
+            try {
+                const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+                const calls = await this.databaseManager.getRecentCalls(limit);
+
+                res.json({
+                    success: true,
+                    count: calls.length,
+                    calls
+                });
+
+            } catch (error) {
+                res.status(500).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+
+        // Full transcript and function calls for a single call
+        router.get('/calls/:callId', requireAdmin, async (req, res) => {
+            try {
+                const call = await this.databaseManager.getCallWithEvents(req.params.callId);
+                if (!call) {
+                    return res.status(404).json({
+                        success: false,
+                        message: 'Call not found'
+                    });
+                }
+
+                res.json({
+                    success: true,
+                    call
+                });
+
+            } catch (error) {
+                res.status(500).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+
+        // Caller block/allow list
+        router.get('/caller-list', requireAdmin, async (req, res) => {
+            try {
+                const listType = req.query.type;
+                if (listType && !['block', 'allow'].includes(listType)) {
+                    return res.status(400).json({
+                        success: false,
+                        message: 'type must be "block" or "allow"'
+                    });
+                }
+
+                const entries = await this.databaseManager.getCallerList(listType || null);
+                res.json({
+                    success: true,
+                    count: entries.length,
+                    entries
+                });
+
+            } catch (error) {
+                res.status(500).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+
+        router.post('/caller-list', requireAdmin, async (req, res) => {
+            try {
+                const { phone_number, list_type, reason } = req.body || {};
+                const phoneNumber = parseSipNumber(phone_number);
+
+                if (phoneNumber === 'unknown' || !['block', 'allow'].includes(list_type)) {
+                    return res.status(400).json({
+                        success: false,
+                        message: 'phone_number and list_type ("block" or "allow") are required'
+                    });
+                }
+
+                const entry = await this.databaseManager.upsertCallerListEntry(phoneNumber, list_type, reason || null);
+                console.log(`📋 Caller list: ${phoneNumber} → ${list_type}${reason ? ` (${reason})` : ''}`);
+
+                res.json({
+                    success: true,
+                    entry
+                });
+
+            } catch (error) {
+                res.status(500).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+
+        router.delete('/caller-list/:phoneNumber', requireAdmin, async (req, res) => {
+            try {
+                const phoneNumber = parseSipNumber(req.params.phoneNumber);
+                const removed = await this.databaseManager.removeCallerListEntry(phoneNumber);
+
+                if (!removed) {
+                    return res.status(404).json({
+                        success: false,
+                        message: 'Number not on the caller list'
+                    });
+                }
+
+                console.log(`📋 Caller list: removed ${phoneNumber}`);
+                res.json({
+                    success: true,
+                    message: `Removed ${phoneNumber}`
+                });
+
+            } catch (error) {
+                res.status(500).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+
         return router;
     }
 }
@@ -0,0 +1,117 @@
+/**
+ * Caller Screening
+ * Decides whether an incoming call should be answered, based on the admin-managed
+ * block/allow list and a per-number rate limit, before we pay for a Realtime session
+ */
+
+class CallScreening {
+    constructor(databaseManager) {
+        this.databaseManager = databaseManager;
+
+        // Max calls per caller number in a rolling hour (0 disables rate limiting)
+        this.maxCallsPerHour = parseInt(process.env.MAX_CALLS_PER_HOUR || 10);
+        this.RATE_WINDOW = 60 * 60 * 1000; // 1 hour
+
+        // Recent call timestamps by caller number
+        this.callLog = new Map();
+
+        this.stats = {
+            blocked: 0,
+            rateLimited: 0
+        };
+
+        // Clean up stale rate-limit entries every 10 minutes
+        this.cleanupInterval = setInterval(() => {
+            this.cleanupCallLog();
+        }, 10 * 60 * 1000);
+        this.cleanupInterval.unref();
+    }
+
+    /**
+     * Screen an incoming call
+     * @param {string} callerNumber - Normalized caller number
+     * @returns {Object} { allowed: boolean, reason?: string }
+     */
+    async screen(callerNumber) {
+        // Anonymous callers can't be listed or rate limited individually
+        if (!callerNumber || callerNumber === 'unknown') {
+            return { allowed: true };
+        }
+
+        let entry = null;
+        try {
+            entry = await this.databaseManager.getCallerListEntry(callerNumber);
+        } catch (error) {
+            // Fail open - a database hiccup shouldn't take the phone line down
+            console.error(`❌ Caller list lookup failed for ${callerNumber}:`, error.message);
+        }
+
+        if (entry?.list_type === 'block') {
+            this.stats.blocked++;
+            return { allowed: false, reason: 'blocked' };
+        }
+
+        // Allow-listed numbers skip rate limiting
+        if (entry?.list_type === 'allow') {
+            return { allowed: true, allowListed: true };
+        }
+
+        const recentCalls = this.recordAttempt(callerNumber);
+        if (this.maxCallsPerHour > 0 && recentCalls > this.maxCallsPerHour) {
+            this.stats.rateLimited++;
+            return { allowed: false, reason: 'rate_limited' };
+        }
+
+        return { allowed: true };
+    }
+
+    /**
+     * Record a call attempt and return how many attempts fall inside the window
+     * Rejected attempts count too, so a robo-dialer stays limited while it keeps retrying
+     */
+    recordAttempt(callerNumber) {
+        const now = Date.now();
+        const timestamps = (this.callLog.get(callerNumber) || []).filter(t => now - t < this.RATE_WINDOW);
+        timestamps.push(now);
+        this.callLog.set(callerNumber, timestamps);
+        return timestamps.length;
+    }
+
+    /**
+     * Drop rate-limit entries with no calls inside the window
+     */
+    cleanupCallLog() {
+        const now = Date.now();
+        for (const [callerNumber, timestamps] of this.callLog.entries()) {
+            const recent = timestamps.filter(t => now - t < this.RATE_WINDOW);
+            if (recent.length === 0) {
+                this.callLog.delete(callerNumber);
+            } else {
+                this.callLog.set(callerNumber, recent);
+            }
+        }
+    }
+
+    /**
+     * Get screening stats for analytics
+     */
+    getStats() {
+        return {
+            ...this.stats,
+            maxCallsPerHour: this.maxCallsPerHour || null,
+            trackedNumbers: this.callLog.size
+        };
+    }
+
+    /**
+     * Shutdown screening and cleanup
+     */
+    shutdown() {
+        if (this.cleanupInterval) {
+            clearInterval(this.cleanupInterval);
+        }
+        this.callLog.clear();
+    }
+}
+
+module.exports = CallScreening;
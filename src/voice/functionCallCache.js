@@ -0,0 +1,113 @@
+/**
+ * Function Call Cache
+ * Idempotency cache keyed on the Realtime function call_id. The same call can reach us through
+ * the webhook and the sideband socket, or be replayed after a reconnect - it only runs once
+ */
+
+class FunctionCallCache {
+    constructor(ttlSeconds = parseInt(process.env.FUNCTION_CALL_CACHE_TTL_SECONDS || 600)) {
+        this.ttl = ttlSeconds * 1000;
+
+        // call_id -> { source, promise, delivered, expiresAt }
+        this.entries = new Map();
+
+        this.stats = {
+            executed: 0,
+            duplicates: 0,
+            duplicatesBySource: {}
+        };
+
+        // Drop expired entries every minute
+        this.cleanupInterval = setInterval(() => {
+            this.cleanup();
+        }, 60 * 1000);
+        this.cleanupInterval.unref();
+    }
+
+    /**
+     * Run a function call once per call_id
+     * Repeat deliveries (including ones that arrive while the first is still running) get the stored result
+     * @param {string} functionCallId - Realtime function call_id
+     * @param {string} source - Delivery path, e.g. 'sideband' or 'webhook'
+     * @param {Function} executor - Runs the function and resolves with its result
+     * @returns {Object} { result, duplicate, entry }
+     */
+    async execute(functionCallId, source, executor) {
+        if (!functionCallId) {
+            return { result: await executor(), duplicate: false, entry: null };
+        }
+
+        const existing = this.get(functionCallId);
+        if (existing) {
+            this.stats.duplicates++;
+            this.stats.duplicatesBySource[source] = (this.stats.duplicatesBySource[source] || 0) + 1;
+            console.warn(`♻️  Duplicate delivery of function call ${functionCallId} via ${source} (first via ${existing.source})`);
+
+            return { result: await existing.promise, duplicate: true, entry: existing };
+        }
+
+        const entry = {
+            source,
+            promise: Promise.resolve().then(executor),
+            delivered: false,
+            expiresAt: Date.now() + this.ttl
+        };
+        this.entries.set(functionCallId, entry);
+        this.stats.executed++;
+
+        try {
+            return { result: await entry.promise, duplicate: false, entry };
+        } catch (error) {
+            // Let a later delivery retry a call that blew up
+            this.entries.delete(functionCallId);
+            throw error;
+        }
+    }
+
+    get(functionCallId) {
+        const entry = this.entries.get(functionCallId);
+        if (entry && entry.expiresAt < Date.now()) {
+            this.entries.delete(functionCallId);
+            return null;
+        }
+        return entry || null;
+    }
+
+    /**
+     * Record that the output has reached the model, so repeat deliveries don't send it again
+     */
+    markDelivered(functionCallId) {
+        const entry = this.entries.get(functionCallId);
+        if (entry) {
+            entry.delivered = true;
+        }
+    }
+
+    cleanup() {
+        const now = Date.now();
+        for (const [functionCallId, entry] of this.entries.entries()) {
+            if (entry.expiresAt < now) {
+                this.entries.delete(functionCallId);
+            }
+        }
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            cached: this.entries.size
+        };
+    }
+
+    /**
+     * Shutdown cache and cleanup
+     */
+    shutdown() {
+        if (this.cleanupInterval) {
+            clearInterval(this.cleanupInterval);
+        }
+        this.entries.clear();
+    }
+}
+
+module.exports = FunctionCallCache;
@@ -0,0 +1,178 @@
+const WebSocket = require('ws');
+
+/**
+ * Sideband WebSocket Connection
+ * Manages the per-call control socket to the OpenAI Realtime API, including
+ * reconnection with exponential backoff when the socket drops unexpectedly
+ */
+
+class SidebandConnection {
+    constructor(callId, options = {}) {
+        this.callId = callId;
+        this.apiKey = options.apiKey || process.env.OPENAI_API_KEY;
+        this.url = options.url || `wss://api.openai.com/v1/realtime?call_id=${callId}`;
+
+        // Callbacks supplied by the voice handler
+        this.onOpen = options.onOpen || (() => {});
+        this.onEvent = options.onEvent || (() => {});
+        this.onClose = options.onClose || (() => {});
+        // Whether the call is already over (hung up, transferred) - a dead call is never reconnected
+        this.isCallEnded = options.isCallEnded || (() => false);
+
+        // Reconnect settings
+        this.maxReconnectAttempts = parseInt(options.maxReconnectAttempts ?? process.env.SIDEBAND_MAX_RECONNECTS ?? 5);
+        this.baseReconnectDelay = parseInt(options.baseReconnectDelay ?? process.env.SIDEBAND_RECONNECT_DELAY_MS ?? 500);
+        this.maxReconnectDelay = 10000;
+
+        // Connection state: idle | connecting | open | reconnecting | closed | failed
+        this.state = 'idle';
+        this.ws = null;
+        this.reconnectAttempts = 0;
+        this.totalReconnects = 0;
+        this.reconnectTimer = null;
+        this.closedByUs = false;
+        this.connectedAt = null;
+        this.lastError = null;
+    }
+
+    /**
+     * Open the WebSocket (or re-open it after a drop)
+     */
+    connect() {
+        const isReconnect = this.totalReconnects > 0;
+        this.state = isReconnect ? 'reconnecting' : 'connecting';
+
+        console.log(`🔌 ${isReconnect ? 'Reconnecting' : 'Opening'} sideband WebSocket for call ${this.callId}...`);
+
+        const ws = new WebSocket(this.url, {
+            headers: {
+                'Authorization': `Bearer ${this.apiKey}`
+            }
+        });
+        this.ws = ws;
+
+        ws.on('open', () => {
+            console.log(`✅ Sideband WebSocket connected for call ${this.callId}`);
+            this.state = 'open';
+            this.connectedAt = new Date();
+            this.reconnectAttempts = 0;
+            this.onOpen({ isReconnect });
+        });
+
+        ws.on('message', async (data) => {
+            try {
+                const event = JSON.parse(data.toString());
+                await this.onEvent(event);
+            } catch (error) {
+                console.error(`❌ Error processing WebSocket message for call ${this.callId}:`, error);
+            }
+        });
+
+        ws.on('error', (error) => {
+            console.error(`❌ Sideband WebSocket error for call ${this.callId}:`, error.message);
+            this.lastError = error.message;
+        });
+
+        ws.on('close', (code) => {
+            // Ignore close events from sockets we've already replaced
+            if (ws !== this.ws) return;
+
+            console.log(`🔌 Sideband WebSocket closed for call ${this.callId} (code ${code})`);
+
+            // A normal closure (1000), or one without a status (1005, how the server usually closes
+            // when the caller hangs up), means the call itself is over - as does a drop after it ended
+            if (this.closedByUs || code === 1000 || code === 1005 || this.isCallEnded()) {
+                this.state = 'closed';
+                this.onClose({ code, reason: this.closedByUs ? 'closed' : 'remote_closed' });
+                return;
+            }
+
+            this.scheduleReconnect(code);
+        });
+    }
+
+    /**
+     * Schedule a reconnect with exponential backoff, giving up after the max attempts
+     */
+    scheduleReconnect(code) {
+        if (this.reconnectAttempts >= this.maxReconnectAttempts) {
+            console.error(`❌ Sideband for call ${this.callId} failed after ${this.reconnectAttempts} reconnect attempts`);
+            this.state = 'failed';
+            this.onClose({ code, reason: 'reconnect_failed' });
+            return;
+        }
+
+        const delay = Math.min(
+            this.baseReconnectDelay * Math.pow(2, this.reconnectAttempts),
+            this.maxReconnectDelay
+        );
+        this.reconnectAttempts++;
+        this.totalReconnects++;
+        this.state = 'reconnecting';
+
+        console.log(`⏳ Reconnecting sideband for call ${this.callId} in ${delay}ms (attempt ${this.reconnectAttempts}/${this.maxReconnectAttempts})`);
+
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            if (this.closedByUs) return;
+
+            // The call may have ended while we were backing off
+            if (this.isCallEnded()) {
+                this.state = 'closed';
+                this.onClose({ code, reason: 'remote_closed' });
+                return;
+            }
+
+            this.connect();
+        }, delay);
+    }
+
+    /**
+     * Send a client event over the socket
+     * @param {Object} event - Realtime client event
+     * @returns {boolean} Whether the event was sent
+     */
+    send(event) {
+        if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
+            console.warn(`⚠️  Sideband for call ${this.callId} is ${this.state}, dropping ${event.type}`);
+            return false;
+        }
+
+        this.ws.send(JSON.stringify(event));
+        return true;
+    }
+
+    /**
+     * Close the connection for good (no reconnect)
+     */
+    close() {
+        this.closedByUs = true;
+
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+
+        if (this.ws && (this.ws.readyState === WebSocket.OPEN || this.ws.readyState === WebSocket.CONNECTING)) {
+            this.ws.close(1000);
+        } else if (this.state !== 'closed') {
+            this.state = 'closed';
+            this.onClose({ code: 1000, reason: 'closed' });
+        }
+    }
+
+    /**
+     * Get connection status for monitoring
+     */
+    getStatus() {
+        return {
+            state: this.state,
+            connectedAt: this.connectedAt,
+            reconnectAttempts: this.reconnectAttempts,
+            totalReconnects: this.totalReconnects,
+            lastError: this.lastError
+        };
+    }
+}
+
+module.exports = SidebandConnection;
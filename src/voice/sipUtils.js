@@ -0,0 +1,33 @@
+/**
+ * SIP header helpers
+ */
+
+/**
+ * Find a SIP header value by name (case-insensitive)
+ * @param {Array} sipHeaders - [{ name, value }] as delivered in realtime.call.incoming
+ * @param {string} name - Header name, e.g. 'From' or 'To'
+ * @returns {string|null} Header value
+ */
+function getSipHeader(sipHeaders, name) {
+    const header = (sipHeaders || []).find(h => h.name?.toLowerCase() === name.toLowerCase());
+    return header?.value || null;
+}
+
+/**
+ * Extract a comparable phone number from a SIP From/To header or bare number
+ * e.g. '"Jane" <sip:+15551234567@sip.example.com>;tag=abc' → '+15551234567'
+ * @param {string} headerValue - Raw header value or phone number
+ * @returns {string} Normalized number, or 'unknown'
+ */
+function parseSipNumber(headerValue) {
+    if (!headerValue) return 'unknown';
+
+    const match = headerValue.match(/(?:sips?|tel):([^@;>]+)/i);
+    const user = match ? match[1] : headerValue;
+    const number = user.trim().replace(/[\s().-]/g, '');
+
+    if (!number || /^anonymous$/i.test(number)) return 'unknown';
+    return number;
+}
+
+module.exports = { getSipHeader, parseSipNumber };
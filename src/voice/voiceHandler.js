@@ -1,18 +1,61 @@
 const RealtimeFunctions = require('../nlp/realtimeFunctions');
 const ContextManager = require('../nlp/contextManager');
+const FunctionPipeline = require('../nlp/functionPipeline');
 const axios = require('axios');
-const WebSocket = require('ws');
+const SidebandConnection = require('./sidebandConnection');
+const CallScreening = require('./callScreening');
+const FunctionCallCache = require('./functionCallCache');
+const { getSipHeader, parseSipNumber } = require('./sipUtils');
+
+// SIP calls carry G.711 audio - 8000 one-byte samples a second
+const SIP_AUDIO_BYTES_PER_MS = 8;
 
 class VoiceHandler {
-    constructor(nlpProcessor, databaseManager) {
+    constructor(nlpProcessor, databaseManager, conferenceRegistry, instructionBuilder, promptRegistry, realtimeSettings, languageDetector) {
         this.nlpProcessor = nlpProcessor; // Keep for fallback if needed
         this.databaseManager = databaseManager;
+        this.conferenceRegistry = conferenceRegistry;
+        this.instructionBuilder = instructionBuilder;
+        this.promptRegistry = promptRegistry;
+        this.realtimeSettings = realtimeSettings;
+        this.languageDetector = languageDetector;
         this.realtimeFunctions = new RealtimeFunctions(databaseManager);
         this.contextManager = new ContextManager();
+        this.functionPipeline = new FunctionPipeline(
+            this.realtimeFunctions,
+            this.contextManager,
+            (sessionId, functionName, parameters, result, source) => this.logFunctionCall(sessionId, functionName, parameters, result, source)
+        );
+        this.callScreening = new CallScreening(databaseManager);
+        this.functionCallCache = new FunctionCallCache();
 
         // Store active sessions for call management
         this.activeSessions = new Map();
 
+        // Recently finished calls (most recent last) for analytics
+        this.callHistory = [];
+        this.MAX_CALL_HISTORY = 100;
+
+        // Maximum call length, with a spoken warning shortly before the limit (seconds)
+        this.maxCallDuration = parseInt(process.env.MAX_CALL_DURATION_SECONDS || 900);
+        this.callDurationWarning = parseInt(process.env.CALL_DURATION_WARNING_SECONDS || 60);
+
+        // Concurrency cap - calls beyond it are rejected, or told we're busy and hung up
+        this.maxConcurrentCalls = parseInt(process.env.MAX_CONCURRENT_CALLS || 0);
+        this.overflowMode = process.env.OVERFLOW_MODE === 'busy_message' ? 'busy_message' : 'reject';
+        this.overflowStats = {
+            rejected: 0,
+            busyMessage: 0,
+            lastOverflowAt: null
+        };
+
+        // Say "let me check that for you" when a lookup takes longer than this (ms)
+        this.functionFillerDelay = parseInt(process.env.FUNCTION_FILLER_DELAY_MS || 1000);
+
+        // Silence handling: ask "are you still there?" once, then hang up (seconds)
+        this.idlePromptAfter = parseInt(process.env.IDLE_PROMPT_SECONDS || 20);
+        this.idleHangupAfter = parseInt(process.env.IDLE_HANGUP_SECONDS || 15);
+
         // OpenAI API configuration
         this.openaiApiKey = process.env.OPENAI_API_KEY;
         this.openaiBaseUrl = 'https://api.openai.com/v1';
@@ -27,15 +70,16 @@ class VoiceHandler {
 
         try {
             const event = req.body;
-            const { call_id, function_name, arguments: argsString, call_id: functionCallId } = event.data || event;
+            // call_id is the Realtime call; function_call_id identifies this one function call within it
+            const { call_id: callId, function_call_id: functionCallId, function_name, arguments: argsString } = event.data || event;
 
             console.log(`🔧 Executing function: ${function_name}`);
 
-            // Parse arguments
-            const args = typeof argsString === 'string' ? JSON.parse(argsString) : argsString;
-
-            // Execute the function
-            const result = await this.realtimeFunctions.executeFunction(function_name, args);
+            // Without a function call id there is nothing to dedupe on - it just runs
+            const { result } = await this.runFunctionCall(callId, functionCallId || null, function_name, argsString, 'webhook');
+            if (functionCallId) {
+                this.functionCallCache.markDelivered(functionCallId);
+            }
 
             console.log(`✅ Function ${function_name} executed:`, result);
 
@@ -71,23 +115,63 @@ class VoiceHandler {
 
             // Now do everything else asynchronously
             const sipHeaders = event.data.sip_headers || [];
-            const fromHeader = sipHeaders.find(h => h.name === 'From');
-            const callerNumber = fromHeader?.value || 'unknown';
+            const callerNumber = parseSipNumber(getSipHeader(sipHeaders, 'From'));
 
-            console.log(`📞 Incoming call ${callId} from ${callerNumber}`);
+            // Route to a conference by the number that was dialed
+            const conference = this.conferenceRegistry.resolveByDialedNumber(getSipHeader(sipHeaders, 'To'));
+
+            console.log(`📞 Incoming call ${callId} from ${callerNumber} for ${conference.name}`);
+            const startTime = new Date();
+
+            // Block list and per-number rate limits - reject before paying for a Realtime session
+            const screening = await this.callScreening.screen(callerNumber);
+
+            // Check the concurrency cap only now, and register the call in the same step - calls still
+            // being screened, or screened out, never count towards it
+            const overCapacity = screening.allowed &&
+                this.maxConcurrentCalls > 0 && this.getLiveCallCount() >= this.maxConcurrentCalls;
 
             // Store session info
-            this.activeSessions.set(callId, {
+            const session = {
                 callId,
                 callerNumber,
-                startTime: new Date(),
+                startTime,
                 status: 'incoming',
-                sipHeaders
-            });
+                sipHeaders,
+                conference,
+                language: this.languageDetector.defaultLanguage,
+                overflow: overCapacity
+            };
+            this.activeSessions.set(callId, session);
+
+            this.persistCallData(callId, () => this.databaseManager.createCall({
+                callId,
+                callerNumber,
+                conferenceId: conference.id,
+                status: session.status,
+                startedAt: session.startTime
+            }));
+
+            if (!screening.allowed) {
+                console.warn(`🚫 Call ${callId} from ${callerNumber} screened out: ${screening.reason}`);
+                // Ended before the SIP reject goes out, so it isn't counted as live meanwhile
+                this.recordCallEnd(callId, screening.reason, 'rejected');
+                try {
+                    await this.rejectCall(callId, screening.reason === 'blocked' ? 403 : 486);
+                } catch (error) {
+                    // Already logged by rejectCall
+                }
+                return;
+            }
+
+            if (overCapacity) {
+                return this.handleOverflowCall(callId);
+            }
 
             // Accept the call
             this.acceptCall(callId).catch(error => {
                 console.error(`❌ Failed to accept call ${callId}:`, error.message);
+                this.recordCallEnd(callId, 'accept_failed', 'failed');
             });
 
         } catch (error) {
@@ -96,13 +180,64 @@ class VoiceHandler {
         }
     }
 
+    /**
+     * Handle a call that arrives while we're at the concurrency cap
+     */
+    async handleOverflowCall(callId) {
+        this.overflowStats.lastOverflowAt = new Date();
+        console.warn(`🚦 Call ${callId} over the concurrency cap (${this.maxConcurrentCalls}), overflow mode: ${this.overflowMode}`);
+
+        if (this.overflowMode === 'busy_message') {
+            this.overflowStats.busyMessage++;
+
+            // Accepted with a short busy script - the sideband hangs up after it's spoken
+            return this.acceptCall(callId).catch(error => {
+                console.error(`❌ Failed to accept overflow call ${callId}:`, error.message);
+                this.recordCallEnd(callId, 'accept_failed', 'failed');
+            });
+        }
+
+        this.overflowStats.rejected++;
+
+        try {
+            await this.rejectCall(callId);
+        } catch (error) {
+            // Already logged by rejectCall
+        }
+        this.recordCallEnd(callId, 'overflow_rejected', 'rejected');
+    }
+
     /**
      * Accept an incoming call and configure the OpenAI Realtime session
      */
     async acceptCall(callId) {
         console.log(`✅ Accepting call ${callId}...`);
 
+        const session = this.activeSessions.get(callId);
+        const overflow = !!session?.overflow;
+        const conference = session?.conference || this.conferenceRegistry.getDefault();
+
         try {
+            // A/B test prompt variants - overflow calls only get the busy script
+            const promptVariant = overflow ? null : this.promptRegistry.assign(session?.callerNumber);
+            if (session) {
+                session.promptVariant = promptVariant;
+                session.promptVersion = promptVariant?.id || null;
+            }
+            if (promptVariant) {
+                console.log(`🧪 Call ${callId} assigned prompt version ${promptVariant.id}`);
+            }
+
+            // Restore what we remember about returning callers
+            if (session && !overflow) {
+                const memory = this.contextManager.linkCaller(callId, session.callerNumber);
+                session.isReturningCaller = !!memory;
+                session.previousCallCount = memory?.callCount || 0;
+                session.previousInterests = this.contextManager.summarizeCallerInterests(memory);
+            }
+
+            const instructions = overflow ? this.getBusyInstructions(conference) : this.getCallInstructions(session);
+
             // Configure the Realtime session with full instructions and tools
             const tools = this.realtimeFunctions.getFunctionDefinitions().map(func => ({
                 type: 'function',
@@ -111,16 +246,16 @@ class VoiceHandler {
                 parameters: func.parameters
             }));
 
+            // Model, voice and turn detection come from config (with per-conference overrides).
+            // Caller audio is transcribed so user turns can be stored with the call record
+            const settings = this.realtimeSettings.get(conference);
             const acceptPayload = {
-                type: 'realtime',
-                model: 'gpt-realtime',
-                voice: 'alloy',
-                modalities: ['audio', 'text'],
-                instructions: this.getSystemInstructions(),
-                tools: tools
+                ...this.realtimeSettings.toSessionConfig(settings),
+                instructions: instructions,
+                tools: overflow ? [] : tools
             };
 
-            console.log(`📞 Accepting call ${callId} with ${tools.length} functions...`);
+            console.log(`📞 Accepting call ${callId} with ${tools.length} functions (${settings.model}, voice ${settings.voice})...`);
 
             const response = await axios.post(
                 `${this.openaiBaseUrl}/realtime/calls/${callId}/accept`,
@@ -128,8 +263,7 @@ class VoiceHandler {
                 {
                     headers: {
                         'Authorization': `Bearer ${this.openaiApiKey}`,
-                        'Content-Type': 'application/json',
-                        'OpenAI-Beta': 'realtime=v1'
+                        'Content-Type': 'application/json'
                     }
                 }
             );
@@ -137,10 +271,22 @@ class VoiceHandler {
             console.log(`✅ Call ${callId} accepted`);
 
             // Update session status
-            const session = this.activeSessions.get(callId);
             if (session) {
                 session.status = 'accepted';
                 session.acceptedAt = new Date();
+
+                this.persistCallData(callId, () => this.databaseManager.updateCall(callId, {
+                    status: session.status,
+                    acceptedAt: session.acceptedAt,
+                    promptVersion: session.promptVersion
+                }));
+            }
+
+            // Open the sideband connection to drive the conversation
+            this.monitorCall(callId);
+
+            if (!overflow) {
+                this.startDurationLimit(callId);
             }
 
             return response.data;
@@ -152,65 +298,78 @@ class VoiceHandler {
     }
 
     /**
-     * Monitor call via WebSocket to handle function calls and events
+     * Monitor call via the sideband WebSocket to handle function calls and events
      * This is REQUIRED to trigger the initial AI greeting
      */
     monitorCall(callId) {
-        console.log(`🔌 Opening WebSocket connection for call ${callId}...`);
-
-        // WebSocket endpoint uses call_id as query parameter
-        const wsUrl = `wss://api.openai.com/v1/realtime?call_id=${callId}`;
-        const ws = new WebSocket(wsUrl, {
-            headers: {
-                'Authorization': `Bearer ${this.openaiApiKey}`
-            }
-        });
-
         const session = this.activeSessions.get(callId);
-        if (session) {
-            session.websocket = ws;
-        }
 
-        ws.on('open', () => {
-            console.log(`✅ WebSocket connected for call ${callId}`);
+        const sideband = new SidebandConnection(callId, {
+            apiKey: this.openaiApiKey,
+            onOpen: ({ isReconnect }) => {
+                // Only greet once - a reconnect resumes the existing conversation
+                if (isReconnect) return;
+
+                // Over capacity: play the busy script, then hang up
+                if (session?.overflow) {
+                    this.schedulePendingCallAction(callId, { type: 'hangup', endReason: 'overflow_busy' });
+                    sideband.send({
+                        type: 'response.create',
+                        response: {
+                            instructions: 'Say: "Sorry, all of our lines are busy right now. Please call back in a few minutes." Then stop.'
+                        }
+                    });
+
+                    session.timers = session.timers || {};
+                    session.timers.overflowBackstop = setTimeout(() => this.forceHangup(callId, 'overflow_busy'), 20 * 1000);
+                    return;
+                }
 
-            // Send initial response.create to trigger the AI greeting
-            // This is ESSENTIAL - without this, the AI won't start speaking
-            ws.send(JSON.stringify({
-                type: 'response.create',
-                response: {
-                    instructions: 'Greet the user warmly and ask how you can help them with the LeadDev New York conference.'
+                // Send initial response.create to trigger the AI greeting
+                // This is ESSENTIAL - without this, the AI won't start speaking
+                sideband.send({
+                    type: 'response.create',
+                    response: {
+                        instructions: this.getGreetingInstructions(session)
+                    }
+                });
+            },
+            onEvent: (event) => this.handleRealtimeEvent(callId, event, sideband),
+            isCallEnded: () => {
+                const session = this.activeSessions.get(callId);
+                return !session || Boolean(session.endReason);
+            },
+            onClose: ({ reason }) => {
+                const session = this.activeSessions.get(callId);
+                if (session) {
+                    session.sidebandCloseReason = reason;
                 }
-            }));
-        });
 
-        ws.on('message', async (data) => {
-            try {
-                const event = JSON.parse(data.toString());
-                await this.handleRealtimeEvent(callId, event, ws);
-            } catch (error) {
-                console.error(`❌ Error processing WebSocket message for call ${callId}:`, error);
+                // We lost control of the call - hang it up rather than leave the caller with an unmanaged model
+                // (no timers, no functions). Record the end even if the hangup request fails
+                if (reason === 'reconnect_failed') {
+                    this.forceHangup(callId, 'connection_lost')
+                        .finally(() => this.recordCallEnd(callId, 'connection_lost'));
+                    return;
+                }
+
+                // If nothing on our side ended the call, the caller hung up
+                this.recordCallEnd(callId, 'caller_hangup');
             }
         });
 
-        ws.on('error', (error) => {
-            console.error(`❌ WebSocket error for call ${callId}:`, error);
-        });
+        if (session) {
+            session.sideband = sideband;
+        }
 
-        ws.on('close', () => {
-            console.log(`🔌 WebSocket closed for call ${callId}`);
-            const session = this.activeSessions.get(callId);
-            if (session) {
-                session.status = 'ended';
-                session.endTime = new Date();
-            }
-        });
+        sideband.connect();
+        return sideband;
     }
 
     /**
-     * Handle Realtime API events from WebSocket
+     * Handle Realtime API events from the sideband WebSocket
      */
-    async handleRealtimeEvent(callId, event, ws) {
+    async handleRealtimeEvent(callId, event, sideband) {
         console.log(`📨 Event for call ${callId}:`, event.type);
 
         switch (event.type) {
@@ -218,13 +377,63 @@ class VoiceHandler {
                 // Track conversation items
                 break;
 
+            case 'conversation.item.input_audio_transcription.completed':
+                this.recordTranscript(callId, 'user', event.transcript);
+                this.handleCallerLanguage(callId, event.transcript, sideband);
+                break;
+
+            case 'response.output_audio_transcript.done':
+            case 'response.audio_transcript.done':
+                this.recordTranscript(callId, 'assistant', event.transcript);
+                break;
+
             case 'response.function_call_arguments.done':
                 // Function call completed, execute it
-                await this.executeFunctionCall(callId, event, ws);
+                await this.executeFunctionCall(callId, event, sideband);
+                break;
+
+            case 'input_audio_buffer.speech_started':
+                // Caller is talking - not idle, and may be talking over the assistant
+                this.markCallerActive(callId);
+                this.handleBargeIn(callId, sideband);
+                break;
+
+            case 'response.output_item.added':
+                this.trackAssistantItem(callId, event);
+                break;
+
+            case 'output_audio_buffer.started':
+                this.markAssistantAudioStarted(callId);
+                break;
+
+            case 'response.output_audio.delta':
+            case 'response.audio.delta':
+                this.trackAssistantAudioDelta(callId, event.delta);
+                break;
+
+            case 'input_audio_buffer.speech_stopped':
+                this.startIdleTimer(callId);
+                break;
+
+            case 'response.created':
+                this.setActiveResponse(callId, event.response?.id || null);
+                this.trackPendingActionResponse(callId, event.response);
+                this.clearIdleTimer(callId);
                 break;
 
             case 'response.done':
                 console.log(`✅ Response completed for call ${callId}`);
+                this.setActiveResponse(callId, null);
+                this.flushQueuedResponse(callId, sideband);
+                this.armPendingCallAction(callId, event.response);
+                this.startIdleTimer(callId);
+                break;
+
+            case 'output_audio_buffer.stopped':
+                // The caller has heard the end of the response - safe to act on the call
+                this.clearAssistantAudio(callId);
+                this.runPendingCallAction(callId);
+                this.startIdleTimer(callId);
                 break;
 
             case 'error':
@@ -242,32 +451,28 @@ class VoiceHandler {
     /**
      * Execute a function call from OpenAI Realtime API
      */
-    async executeFunctionCall(callId, event, ws) {
+    async executeFunctionCall(callId, event, sideband) {
         const { name, call_id, arguments: argsString } = event;
 
         console.log(`🔧 Executing function: ${name} for call ${callId}`);
 
-        try {
-            const args = JSON.parse(argsString);
+        // Fill the silence if the lookup is slow (a repeat delivery is already being handled)
+        const fillerTimer = this.functionCallCache.get(call_id)
+            ? null
+            : setTimeout(() => this.sendFunctionFiller(callId, sideband), this.functionFillerDelay);
 
-            // Apply context resolution
-            const contextualParams = this.contextManager.resolveContextualQuery(
-                callId, name, args
-            );
-
-            // Execute the function
-            const result = await this.realtimeFunctions.executeFunction(name, contextualParams);
-
-            // Update conversation context
-            this.contextManager.updateContext(
-                callId, name, contextualParams, result
-            );
+        try {
+            const { result, duplicate, entry } = await this.runFunctionCall(callId, call_id, name, argsString, 'sideband');
+            clearTimeout(fillerTimer);
 
-            // Log for analytics
-            this.logFunctionCall(callId, name, contextualParams, result);
+            // The model already has this output - sending it again would duplicate the conversation item
+            if (duplicate && entry?.delivered) {
+                console.log(`♻️  Output for function call ${call_id} already delivered - skipping`);
+                return;
+            }
 
             // Send function output back to OpenAI
-            ws.send(JSON.stringify({
+            const delivered = sideband.send({
                 type: 'conversation.item.create',
                 item: {
                     type: 'function_call_output',
@@ -276,21 +481,26 @@ class VoiceHandler {
                         success: result.success,
                         data: result.data,
                         message: result.message,
-                        count: result.count
+                        count: result.count,
+                        error: result.error,
+                        validationErrors: result.validationErrors,
+                        retryable: result.retryable
                     })
                 }
-            }));
+            });
+            if (delivered) {
+                this.functionCallCache.markDelivered(call_id);
+            }
 
             // Trigger response generation with the function output
-            ws.send(JSON.stringify({
-                type: 'response.create'
-            }));
+            this.requestResponse(callId, sideband);
 
         } catch (error) {
+            clearTimeout(fillerTimer);
             console.error(`❌ Error executing function ${name}:`, error);
 
             // Send error back to OpenAI
-            ws.send(JSON.stringify({
+            sideband.send({
                 type: 'conversation.item.create',
                 item: {
                     type: 'function_call_output',
@@ -300,8 +510,599 @@ class VoiceHandler {
                         error: error.message
                     })
                 }
+            });
+        }
+    }
+
+    /**
+     * Run a function call for a live call, whichever path delivered it
+     * Runs once per function call id through the shared pipeline (repeat deliveries get the stored result),
+     * resolves follow-ups against the call's context, and queues any call-control action (transfer, hangup)
+     * @param {string} callId - Realtime call id
+     * @param {string} functionCallId - Function call id, or null when the delivery has none
+     * @returns {Object} { result, duplicate, entry } from the function call cache
+     */
+    async runFunctionCall(callId, functionCallId, functionName, argsString, source) {
+        const execution = await this.functionCallCache.execute(functionCallId, source, async () => {
+            const { result } = await this.functionPipeline.run({
+                sessionId: callId,
+                functionName,
+                arguments: argsString,
+                context: this.getFunctionContext(callId),
+                source
+            });
+            return result;
+        });
+
+        // Call-control functions (e.g. transfers) run once the next response has been spoken
+        const { result, duplicate } = execution;
+        if (result.success && result.action && !duplicate) {
+            this.schedulePendingCallAction(callId, result.action);
+        }
+
+        return execution;
+    }
+
+    /**
+     * Short spoken filler while a slow lookup is still running
+     */
+    sendFunctionFiller(callId, sideband) {
+        const session = this.activeSessions.get(callId);
+
+        // Don't talk over a response that's already playing
+        if (!session || session.endReason || session.activeResponseId) return;
+
+        console.log(`⏳ Lookup for call ${callId} is slow - sending filler`);
+        sideband.send({
+            type: 'response.create',
+            response: {
+                instructions: 'Briefly tell the caller you are looking that up, e.g. "Let me check that for you." One short sentence only - do not answer the question yet.',
+                tool_choice: 'none'
+            }
+        });
+    }
+
+    /**
+     * Ask the model for a response, waiting for any in-progress response (e.g. a filler) to finish first -
+     * the API rejects a response.create while another response is active
+     * @param {Object} response - Optional response settings, e.g. { instructions }
+     * @returns {boolean} Whether the request was sent or queued
+     */
+    requestResponse(callId, sideband, response = null) {
+        const event = response ? { type: 'response.create', response } : { type: 'response.create' };
+
+        const session = this.activeSessions.get(callId);
+        if (session?.activeResponseId) {
+            session.queuedResponses = session.queuedResponses || [];
+            // One plain "respond to the function output" request covers any number of outputs
+            if (response || !session.queuedResponses.some(queued => !queued.response)) {
+                session.queuedResponses.push(event);
+            }
+            return true;
+        }
+
+        return sideband.send(event);
+    }
+
+    /**
+     * Send the next response that was waiting for the previous one to finish
+     */
+    flushQueuedResponse(callId, sideband) {
+        const session = this.activeSessions.get(callId);
+        if (!session?.queuedResponses?.length || session.endReason) return;
+
+        sideband.send(session.queuedResponses.shift());
+    }
+
+    /**
+     * Queue a call-control action to run after the assistant's next spoken response
+     * @param {string} callId - Call identifier
+     * @param {Object} action - Action returned by a realtime function, e.g. { type: 'transfer', targetUri }
+     */
+    schedulePendingCallAction(callId, action) {
+        const session = this.activeSessions.get(callId);
+        if (!session) return;
+
+        console.log(`⏸️  Call ${callId}: ${action.type} queued until the assistant finishes speaking`);
+        session.pendingAction = { ...action, responseId: null, timer: null };
+    }
+
+    /**
+     * Remember which response carries the handoff message for a pending action
+     */
+    trackPendingActionResponse(callId, response) {
+        const pendingAction = this.activeSessions.get(callId)?.pendingAction;
+        if (pendingAction && !pendingAction.responseId && response?.id) {
+            pendingAction.responseId = response.id;
+        }
+    }
+
+    /**
+     * Once the handoff response is generated, wait for its audio to finish playing
+     * Falls back to a timer in case no output_audio_buffer.stopped event arrives
+     */
+    armPendingCallAction(callId, response) {
+        const pendingAction = this.activeSessions.get(callId)?.pendingAction;
+        if (!pendingAction || pendingAction.timer || pendingAction.responseId !== response?.id) return;
+
+        const delay = parseInt(process.env.CALL_ACTION_FALLBACK_DELAY_MS || 5000);
+        pendingAction.timer = setTimeout(() => this.runPendingCallAction(callId), delay);
+    }
+
+    /**
+     * Execute the queued call-control action
+     */
+    async runPendingCallAction(callId) {
+        const session = this.activeSessions.get(callId);
+        const pendingAction = session?.pendingAction;
+
+        // Only act once the handoff response has actually been generated
+        if (!pendingAction || !pendingAction.timer) return;
+
+        clearTimeout(pendingAction.timer);
+        session.pendingAction = null;
+
+        try {
+            switch (pendingAction.type) {
+                case 'transfer':
+                    await this.referCall(callId, pendingAction.targetUri);
+                    session.transfer = {
+                        destination: pendingAction.destination,
+                        targetUri: pendingAction.targetUri,
+                        reason: pendingAction.reason,
+                        transferredAt: new Date()
+                    };
+                    this.recordCallEnd(callId, `transferred_${pendingAction.destination}`, 'transferred');
+                    break;
+
+                case 'hangup':
+                    await this.hangupCall(callId, pendingAction.endReason || `assistant_${pendingAction.reason || 'goodbye'}`);
+                    break;
+
+                default:
+                    console.warn(`⚠️  Unknown call action for call ${callId}: ${pendingAction.type}`);
+            }
+        } catch (error) {
+            console.error(`❌ Call action ${pendingAction.type} failed for call ${callId}:`, error.message);
+
+            // Let the caller know rather than leaving them in silence
+            if (pendingAction.type === 'transfer') {
+                session.sideband?.send({
+                    type: 'response.create',
+                    response: {
+                        instructions: 'Apologize briefly: the transfer did not go through. Offer to keep helping, or suggest visiting the registration desk in person.'
+                    }
+                });
+            }
+        }
+    }
+
+    /**
+     * Start the max-duration timers for an accepted call
+     * Warns the caller shortly before the limit, then says goodbye and hangs up at the limit
+     */
+    startDurationLimit(callId) {
+        const session = this.activeSessions.get(callId);
+        if (!session || !this.maxCallDuration) return;
+
+        session.timers = session.timers || {};
+        const elapsed = Date.now() - session.acceptedAt.getTime();
+        const limitMs = this.maxCallDuration * 1000 - elapsed;
+        const warningMs = limitMs - this.callDurationWarning * 1000;
+
+        if (warningMs > 0) {
+            session.timers.durationWarning = setTimeout(() => this.warnDurationLimit(callId), warningMs);
+        }
+        session.timers.durationLimit = setTimeout(() => this.enforceDurationLimit(callId), Math.max(limitMs, 0));
+    }
+
+    /**
+     * Tell the caller the call is nearly out of time
+     */
+    warnDurationLimit(callId) {
+        const session = this.activeSessions.get(callId);
+        if (!session || session.endReason) return;
+
+        console.log(`⏰ Call ${callId}: ${this.callDurationWarning}s left before the ${this.maxCallDuration}s limit`);
+        session.durationWarnedAt = new Date();
+
+        if (session.sideband) {
+            this.requestResponse(callId, session.sideband, {
+                instructions: 'Politely let the caller know we are nearly out of time on this call and ask if there is one last thing you can help with. Keep it to one sentence.'
+            });
+        }
+
+        this.persistCallData(callId, () => this.databaseManager.insertCallEvent(callId, {
+            eventType: 'duration_warning',
+            content: `${this.callDurationWarning}s remaining of ${this.maxCallDuration}s limit`
+        }));
+    }
+
+    /**
+     * End the call at the duration limit, after a short spoken goodbye when possible
+     */
+    async enforceDurationLimit(callId) {
+        const session = this.activeSessions.get(callId);
+        if (!session || session.endReason) return;
+
+        console.log(`⏰ Call ${callId} reached the ${this.maxCallDuration}s limit`);
+
+        this.persistCallData(callId, () => this.databaseManager.insertCallEvent(callId, {
+            eventType: 'duration_limit',
+            content: `${this.maxCallDuration}s limit reached`
+        }));
+
+        // Queued behind any response still playing, so the goodbye isn't rejected - and nothing else
+        // waiting gets said first, so the hangup follows the goodbye
+        session.queuedResponses = [];
+        const goodbyeSent = !!session.sideband && this.requestResponse(callId, session.sideband, {
+            instructions: 'Say a brief, friendly goodbye: we have reached the time limit for this call and they are welcome to call back. One sentence only.'
+        });
+
+        if (goodbyeSent) {
+            this.schedulePendingCallAction(callId, { type: 'hangup', endReason: 'max_duration' });
+
+            // Backstop in case the goodbye never completes (e.g. the caller talks over it)
+            session.timers.durationBackstop = setTimeout(() => this.forceHangup(callId, 'max_duration'), 30 * 1000);
+            return;
+        }
+
+        // No way to speak to the caller - hang up straight away
+        await this.forceHangup(callId, 'max_duration');
+    }
+
+    /**
+     * Hang up without waiting on the conversation, if the call is still live
+     */
+    async forceHangup(callId, reason) {
+        const session = this.activeSessions.get(callId);
+        if (!session || session.endReason) return;
+
+        try {
+            await this.hangupCall(callId, reason);
+        } catch (error) {
+            // Already logged by hangupCall
+        }
+    }
+
+    /**
+     * Caller started speaking - cancel idle detection and reset the "still there?" prompt
+     */
+    markCallerActive(callId) {
+        const session = this.activeSessions.get(callId);
+        if (!session) return;
+
+        session.lastSpeechAt = new Date();
+        session.idlePrompted = false;
+        this.clearIdleTimer(callId);
+    }
+
+    /**
+     * Remember which response is currently being generated (null once it's done)
+     */
+    setActiveResponse(callId, responseId) {
+        const session = this.activeSessions.get(callId);
+        if (session) {
+            session.activeResponseId = responseId;
+        }
+    }
+
+    /**
+     * Track the assistant audio item being generated so it can be truncated on barge-in
+     */
+    trackAssistantItem(callId, event) {
+        const session = this.activeSessions.get(callId);
+        const item = event.item;
+        if (!session || item?.type !== 'message' || item.role !== 'assistant') return;
+
+        session.assistantAudio = {
+            itemId: item.id,
+            responseId: event.response_id,
+            startedAt: null,
+            playbackStarted: false,
+            audioBytes: 0
+        };
+    }
+
+    /**
+     * Note when the caller starts hearing the current assistant item
+     */
+    markAssistantAudioStarted(callId) {
+        const audio = this.activeSessions.get(callId)?.assistantAudio;
+        if (audio && !audio.playbackStarted) {
+            audio.startedAt = Date.now();
+            audio.playbackStarted = true;
+        }
+    }
+
+    /**
+     * Count the assistant audio generated so far - deltas arrive faster than real time,
+     * so this caps how much the caller can have heard
+     * Playback is timed from the first delta until output_audio_buffer.started says otherwise
+     */
+    trackAssistantAudioDelta(callId, delta) {
+        const audio = this.activeSessions.get(callId)?.assistantAudio;
+        if (!audio) return;
+
+        audio.audioBytes += delta ? Buffer.byteLength(delta, 'base64') : 0;
+        if (!audio.startedAt) {
+            audio.startedAt = Date.now();
+        }
+    }
+
+    clearAssistantAudio(callId) {
+        const session = this.activeSessions.get(callId);
+        if (session) {
+            session.assistantAudio = null;
+        }
+    }
+
+    /**
+     * Caller started talking while the assistant was speaking: stop the response and
+     * truncate the assistant item at the point the caller actually heard, so the
+     * conversation history doesn't claim the model said things that were never played.
+     * Any queued transfer or hangup is dropped too - it belonged to the response that was cut off
+     */
+    handleBargeIn(callId, sideband) {
+        const session = this.activeSessions.get(callId);
+        const audio = session?.assistantAudio;
+        if (!audio) return;
+
+        session.assistantAudio = null;
+
+        // Time since playback started, but never more audio than was actually generated
+        // (when the deltas reach us - otherwise the output buffer events time playback on their own)
+        const elapsedMs = audio.startedAt ? Date.now() - audio.startedAt : 0;
+        const playedMs = audio.audioBytes
+            ? Math.min(elapsedMs, Math.floor(audio.audioBytes / SIP_AUDIO_BYTES_PER_MS))
+            : elapsedMs;
+
+        if (session.pendingAction) {
+            if (session.pendingAction.timer) {
+                clearTimeout(session.pendingAction.timer);
+            }
+            console.log(`⏹️  Call ${callId}: dropping queued ${session.pendingAction.type} after barge-in`);
+            session.pendingAction = null;
+        }
+
+        if (session.activeResponseId) {
+            sideband.send({ type: 'response.cancel' });
+        }
+        sideband.send({ type: 'output_audio_buffer.clear' });
+        sideband.send({
+            type: 'conversation.item.truncate',
+            item_id: audio.itemId,
+            content_index: 0,
+            audio_end_ms: playedMs
+        });
+
+        session.interruptions = (session.interruptions || 0) + 1;
+        console.log(`✋ Call ${callId} barge-in #${session.interruptions}: truncated ${audio.itemId} at ${playedMs}ms`);
+
+        this.persistCallData(callId, () => this.databaseManager.insertCallEvent(callId, {
+            eventType: 'interruption',
+            role: 'assistant',
+            content: `Truncated ${audio.itemId} at ${playedMs}ms`
+        }));
+    }
+
+    /**
+     * (Re)start the silence timer while we wait for the caller to speak
+     * Uses the shorter hangup threshold once the caller has already been prompted
+     */
+    startIdleTimer(callId) {
+        const session = this.activeSessions.get(callId);
+        if (!session || session.endReason || !this.idlePromptAfter) return;
+
+        this.clearIdleTimer(callId);
+
+        const seconds = session.idlePrompted ? this.idleHangupAfter : this.idlePromptAfter;
+        session.timers = session.timers || {};
+        session.timers.idle = setTimeout(() => this.handleIdleTimeout(callId), seconds * 1000);
+    }
+
+    clearIdleTimer(callId) {
+        const session = this.activeSessions.get(callId);
+        if (session?.timers?.idle) {
+            clearTimeout(session.timers.idle);
+            delete session.timers.idle;
+        }
+    }
+
+    /**
+     * Silence threshold reached - prompt once, then hang up on the second timeout
+     */
+    async handleIdleTimeout(callId) {
+        const session = this.activeSessions.get(callId);
+        if (!session || session.endReason) return;
+
+        delete session.timers.idle;
+
+        if (!session.idlePrompted) {
+            console.log(`🤫 Call ${callId}: ${this.idlePromptAfter}s of silence, checking the caller is still there`);
+            session.idlePrompted = true;
+
+            this.persistCallData(callId, () => this.databaseManager.insertCallEvent(callId, {
+                eventType: 'idle_prompt',
+                content: `${this.idlePromptAfter}s of silence`
             }));
+
+            const sent = session.sideband?.send({
+                type: 'response.create',
+                response: {
+                    instructions: 'The caller has gone quiet. Briefly ask if they are still there.'
+                }
+            });
+
+            // If we can't speak to them, carry on to the hangup timeout
+            if (!sent) {
+                this.startIdleTimer(callId);
+            }
+            return;
         }
+
+        console.log(`🤫 Call ${callId}: no response after idle prompt, hanging up`);
+        await this.forceHangup(callId, 'idle_timeout');
+    }
+
+    /**
+     * Clear any per-call timers (duration limit, idle detection)
+     */
+    clearCallTimers(session) {
+        for (const timer of Object.values(session.timers || {})) {
+            clearTimeout(timer);
+        }
+        session.timers = {};
+    }
+
+    /**
+     * Record that a call has ended and why
+     * The first recorded reason wins - later close events for the same call are ignored
+     * @param {string} callId - Call identifier
+     * @param {string} reason - End reason (e.g. caller_hangup, assistant_goodbye, transferred_registration)
+     * @param {string} status - Final session status
+     */
+    recordCallEnd(callId, reason, status = 'ended') {
+        const session = this.activeSessions.get(callId);
+        if (!session || session.endReason) return;
+
+        session.status = status;
+        session.endTime = new Date();
+        session.endReason = reason;
+
+        if (session.pendingAction?.timer) {
+            clearTimeout(session.pendingAction.timer);
+        }
+        session.pendingAction = null;
+        this.clearCallTimers(session);
+
+        console.log(`📴 Call ${callId} ended: ${reason} (${session.interruptions || 0} interruption(s))`);
+
+        this.callHistory.push({
+            callId,
+            callerNumber: session.callerNumber,
+            startTime: session.startTime,
+            acceptedAt: session.acceptedAt,
+            endTime: session.endTime,
+            durationSeconds: Math.round((session.endTime - session.startTime) / 1000),
+            promptVersion: session.promptVersion || null,
+            language: session.language,
+            interruptions: session.interruptions || 0,
+            status,
+            endReason: reason
+        });
+
+        if (this.callHistory.length > this.MAX_CALL_HISTORY) {
+            this.callHistory = this.callHistory.slice(-this.MAX_CALL_HISTORY);
+        }
+
+        this.persistCallData(callId, () => this.databaseManager.updateCall(callId, {
+            status,
+            endedAt: session.endTime,
+            endReason: reason
+        })).then(() => {
+            // Its writes have landed - the call lives on in callHistory, so drop the session
+            // (and its sideband and SIP headers) instead of keeping every call ever made
+            if (this.activeSessions.get(callId) === session) {
+                this.activeSessions.delete(callId);
+            }
+        });
+    }
+
+    /**
+     * Work out the caller's language from what they said
+     * The first turn is checked for its language; any turn can explicitly ask to switch
+     */
+    handleCallerLanguage(callId, transcript, sideband) {
+        const session = this.activeSessions.get(callId);
+        if (!session || session.overflow || session.endReason || !transcript) return;
+
+        const isFirstTurn = !session.languageChecked;
+        session.languageChecked = true;
+
+        const requested = this.languageDetector.detectExplicitRequest(transcript);
+        const language = requested || (isFirstTurn ? this.languageDetector.detect(transcript) : null);
+
+        if (language && language !== session.language) {
+            this.switchCallLanguage(callId, language, requested ? 'requested' : 'detected', sideband);
+        }
+    }
+
+    /**
+     * Switch the live session's instructions to another language
+     */
+    switchCallLanguage(callId, language, how, sideband) {
+        const session = this.activeSessions.get(callId);
+        if (!session) return;
+
+        const previous = session.language;
+        session.language = language;
+        session.languageSwitches = (session.languageSwitches || 0) + 1;
+
+        console.log(`🌐 Call ${callId} switching language ${previous} → ${language} (${how})`);
+
+        sideband.send({
+            type: 'session.update',
+            session: {
+                type: 'realtime',
+                instructions: this.getCallInstructions(session)
+            }
+        });
+
+        this.persistCallData(callId, () => this.databaseManager.insertCallEvent(callId, {
+            eventType: 'language_switch',
+            content: `${previous} → ${language} (${how})`
+        }));
+    }
+
+    /**
+     * Conference, locale and caller number for function calls made during a call
+     */
+    getFunctionContext(callId) {
+        const session = this.activeSessions.get(callId);
+        return {
+            conference: session?.conference || this.conferenceRegistry.getDefault(),
+            locale: this.languageDetector.getLanguage(session?.language).locale,
+            callerNumber: session?.callerNumber
+        };
+    }
+
+    /**
+     * Store a transcript turn for the call
+     * @param {string} callId - Call identifier
+     * @param {string} role - 'user' or 'assistant'
+     * @param {string} transcript - What was said
+     */
+    recordTranscript(callId, role, transcript) {
+        if (!transcript || !transcript.trim()) return;
+
+        console.log(`💬 [${callId}] ${role}: ${transcript}`);
+
+        this.persistCallData(callId, () => this.databaseManager.insertCallEvent(callId, {
+            eventType: 'transcript',
+            role,
+            content: transcript.trim()
+        }));
+    }
+
+    /**
+     * Run a database write for a call without letting failures affect the live call
+     * Writes for the same call are chained so events land after the call row exists
+     */
+    persistCallData(callId, operation) {
+        const session = this.activeSessions.get(callId);
+        const previous = session?.persistChain || Promise.resolve();
+
+        const next = previous
+            .then(operation)
+            .catch(error => {
+                console.error(`❌ Failed to persist call data for ${callId}:`, error.message);
+            });
+
+        if (session) {
+            session.persistChain = next;
+        }
+        return next;
     }
 
     /**
@@ -311,31 +1112,39 @@ class VoiceHandler {
         console.log('Demo text query:', req.body);
 
         try {
-            const { query, function_name, parameters, session_id } = req.body;
+            const { query, function_name, parameters, session_id, conference_id, language, caller_number } = req.body;
             const sessionId = session_id || 'demo-session';
+            const conference = this.conferenceRegistry.get(conference_id);
+            const locale = this.languageDetector.getLanguage(language).locale;
 
-            let result;
+            let call;
             if (function_name) {
-                // Apply context resolution for demo testing
-                const contextualParams = this.contextManager.resolveContextualQuery(
-                    sessionId, function_name, parameters || {}
-                );
-                
                 // Direct function call for testing
-                result = await this.realtimeFunctions.executeFunction(function_name, contextualParams);
-                
-                // Update context for follow-up demo queries
-                this.contextManager.updateContext(
-                    sessionId, function_name, contextualParams, result, query
-                );
+                call = { functionName: function_name, parameters: parameters || {} };
             } else if (query) {
                 // Use fallback NLP processing for demo
                 const nlpResult = await this.nlpProcessor?.processInput?.(query) || { intent: 'unknown' };
-                result = await this.processQueryIntent(nlpResult);
+                call = this.processQueryIntent(nlpResult);
             } else {
                 throw new Error('Either query or function_name is required');
             }
 
+            // Same pipeline as live calls, so follow-up demo queries resolve against earlier results
+            const result = call
+                ? (await this.functionPipeline.run({
+                    sessionId,
+                    functionName: call.functionName,
+                    arguments: call.parameters,
+                    context: { conference, locale, callerNumber: caller_number },
+                    query,
+                    source: 'demo'
+                })).result
+                : {
+                    success: true,
+                    data: [],
+                    message: "I'm not sure how to help with that. Try asking about current sessions, speakers, or topics."
+                };
+
             // Include context information for demo
             const contextSummary = this.contextManager.getConversationSummary(sessionId);
             const suggestions = this.contextManager.generateSuggestions(sessionId);
@@ -359,9 +1168,11 @@ class VoiceHandler {
 
     /**
      * Hangup a call programmatically
+     * @param {string} callId - Call identifier
+     * @param {string} reason - Why the call is being ended (recorded on the session)
      */
-    async hangupCall(callId) {
-        console.log(`📴 Hanging up call ${callId}...`);
+    async hangupCall(callId, reason = 'hangup') {
+        console.log(`📴 Hanging up call ${callId} (${reason})...`);
 
         try {
             const response = await axios.post(
@@ -376,10 +1187,12 @@ class VoiceHandler {
 
             console.log(`✅ Call ${callId} hung up successfully`);
 
-            // Close WebSocket if exists
+            this.recordCallEnd(callId, reason);
+
+            // Close the sideband connection if one is open
             const session = this.activeSessions.get(callId);
-            if (session?.websocket) {
-                session.websocket.close();
+            if (session?.sideband) {
+                session.sideband.close();
             }
 
             return response.data;
@@ -390,6 +1203,35 @@ class VoiceHandler {
         }
     }
 
+    /**
+     * Reject an incoming call without answering it
+     * @param {string} callId - Call identifier
+     * @param {number} statusCode - SIP status code to return (486 Busy Here by default)
+     */
+    async rejectCall(callId, statusCode = 486) {
+        console.log(`🚫 Rejecting call ${callId} (${statusCode})...`);
+
+        try {
+            const response = await axios.post(
+                `${this.openaiBaseUrl}/realtime/calls/${callId}/reject`,
+                { status_code: statusCode },
+                {
+                    headers: {
+                        'Authorization': `Bearer ${this.openaiApiKey}`,
+                        'Content-Type': 'application/json'
+                    }
+                }
+            );
+
+            console.log(`✅ Call ${callId} rejected`);
+            return response.data;
+
+        } catch (error) {
+            console.error(`❌ Error rejecting call ${callId}:`, error.response?.data || error.message);
+            throw error;
+        }
+    }
+
     /**
      * Transfer/refer a call to another number
      */
@@ -419,101 +1261,109 @@ class VoiceHandler {
 
     /**
      * Get system instructions for OpenAI Realtime API
+     * @param {Object} conference - Conference definition from the registry
+     * @param {Object} promptVariant - Assigned prompt variant (built-in template when omitted)
+     * @param {string} language - Language code to answer in (default language when omitted)
      */
-    getSystemInstructions() {
-        return `IMPORTANT: Always respond in English only, regardless of the caller's language or accent. Do not switch to other languages.
-
-You are the voice assistant for LeadDev New York, taking place October 15-16, 2025 in New York City.
-
-This is a premier conference for engineering leaders, covering topics like:
-- Engineering leadership and management
-- AI and machine learning in software development
-- Team building and organizational culture
-- Technical architecture and decision-making
-- Staff+ engineering career paths
-
-The conference features multiple session formats:
-- Main stage talks by industry leaders
-- Demo stages showcasing cutting-edge tools
-- Solution swaps for collaborative problem-solving
-- Workshops for hands-on learning
-- Table talks for intimate discussions
-- Networking sessions and community groups
+    getSystemInstructions(conference = this.conferenceRegistry.getDefault(), promptVariant = null, language = null) {
+        return this.instructionBuilder.build(conference, {
+            template: promptVariant?.systemTemplate,
+            language
+        });
+    }
 
-CRITICAL - FUNCTION CALLING RULES:
-You MUST use the available functions to answer ALL conference-related questions. NEVER make up information.
+    /**
+     * Full instructions for a call: its conference, prompt variant and language, plus returning-caller notes
+     */
+    getCallInstructions(session) {
+        let instructions = this.getSystemInstructions(
+            session?.conference || this.conferenceRegistry.getDefault(),
+            session?.promptVariant,
+            session?.language
+        );
+
+        if (session?.isReturningCaller) {
+            instructions += `\n\nRETURNING CALLER: This caller has called before (${session.previousCallCount} previous call(s)).` +
+                (session.previousInterests ? ` Last time they asked about ${session.previousInterests}.` : '');
+        }
 
-ALWAYS call these functions when users ask:
-- "What's happening now?" → call get_current_sessions
-- "What's coming up?" / "What's next?" → call get_upcoming_sessions
-- "Tell me about [topic]" → call search_sessions_by_topic with the topic
-- "Who is [speaker name]?" / "Sessions by [speaker]" → call search_sessions_by_speaker
-- "Show me workshops/demos/talks" → call search_sessions_by_type
-- "What's the full schedule?" → call get_full_schedule
-- Any other question → call search_general with their question
+        return instructions;
+    }
 
-Response guidelines:
-- Keep responses conversational and concise (voice-friendly)
-- ALWAYS call a function before answering - you have NO information without calling functions
-- When listing sessions, mention time and location
-- If nothing matches, suggest similar or popular alternatives
-- Be enthusiastic about helping them get the most from the conference
+    /**
+     * Instructions for the opening greeting, personalised for returning callers
+     */
+    getGreetingInstructions(session) {
+        const variant = session?.promptVariant || this.promptRegistry.getAll()[0];
+        const values = {
+            conferenceName: (session?.conference || this.conferenceRegistry.getDefault()).name,
+            recap: session?.previousInterests
+                ? ` Briefly mention that last time they asked about ${session.previousInterests} and offer to pick up from there.`
+                : ''
+        };
 
-Example greeting: "Hi! I'm here to help you navigate LeadDev New York. Are you looking for specific sessions, speakers, or topics? Or would you like to hear what's happening right now?"
+        return this.instructionBuilder.render(
+            session?.isReturningCaller ? variant.returningGreeting : variant.greeting,
+            values
+        );
+    }
 
-Remember: This is a voice conversation - be natural, friendly, and helpful!`;
+    /**
+     * Instructions for overflow calls that only get the busy message
+     */
+    getBusyInstructions(conference = this.conferenceRegistry.getDefault()) {
+        return `You are the voice assistant for ${conference.name}. All lines are currently busy.
+Politely tell the caller that all of our lines are busy and ask them to call back in a few minutes. Do not answer questions or offer anything else. Keep it to one or two sentences.`;
     }
 
     /**
      * Process query intent (fallback method for demo)
+     * @returns {Object|null} { functionName, parameters } to run through the function pipeline
      */
-    async processQueryIntent(nlpResult) {
-        const { intent, entities } = nlpResult;
+    processQueryIntent(nlpResult) {
+        const { intent, entities = {} } = nlpResult;
 
         switch (intent) {
             case 'current_sessions':
-                return await this.realtimeFunctions.getCurrentSessions();
+                return { functionName: 'get_current_sessions', parameters: {} };
             
             case 'upcoming_sessions':
-                return await this.realtimeFunctions.getUpcomingSessions(5);
+                return { functionName: 'get_upcoming_sessions', parameters: { limit: 5 } };
             
             case 'speaker_info':
                 if (entities.speaker_names?.[0] || entities.search_terms?.[0]) {
                     const speakerName = entities.speaker_names?.[0] || entities.search_terms?.[0];
-                    return await this.realtimeFunctions.searchSessionsBySpeaker(speakerName);
+                    return { functionName: 'search_sessions_by_speaker', parameters: { speaker_name: speakerName } };
                 }
                 break;
             
             case 'topic_search':
                 if (entities.topics?.[0] || entities.search_terms?.[0]) {
                     const topic = entities.topics?.[0] || entities.search_terms?.[0];
-                    return await this.realtimeFunctions.searchSessionsByTopic(topic);
+                    return { functionName: 'search_sessions_by_topic', parameters: { topic } };
                 }
                 break;
             
             case 'schedule_overview':
-                return await this.realtimeFunctions.getFullSchedule();
+                return { functionName: 'get_full_schedule', parameters: { day: 'all' } };
             
             default:
                 if (entities.search_terms?.[0]) {
-                    return await this.realtimeFunctions.searchGeneral(entities.search_terms[0]);
+                    return { functionName: 'search_general', parameters: { query: entities.search_terms[0] } };
                 }
         }
 
-        return {
-            success: true,
-            data: [],
-            message: "I'm not sure how to help with that. Try asking about current sessions, speakers, or topics."
-        };
+        return null;
     }
 
     /**
      * Log function calls for analytics
      */
-    logFunctionCall(callId, functionName, parameters, result) {
+    logFunctionCall(callId, functionName, parameters, result, source = null) {
         const logEntry = {
             timestamp: new Date().toISOString(),
             callId,
+            source,
             functionName,
             parameters,
             success: result.success,
@@ -522,8 +1372,78 @@ Remember: This is a voice conversation - be natural, friendly, and helpful!`;
         };
 
         console.log('Function call log:', logEntry);
-        
-        // In production, you might want to store this in a database or analytics service
+
+        // Demo sessions have no call record to attach events to
+        if (!this.activeSessions.has(callId)) return;
+
+        this.persistCallData(callId, () => this.databaseManager.insertCallEvent(callId, {
+            eventType: 'function_call',
+            functionName,
+            arguments: parameters,
+            // Only lookups have a result count - call control would read as "found nothing"
+            resultCount: this.realtimeFunctions.isCallControlFunction(functionName) ? null : (result.count ?? 0),
+            success: !!result.success
+        }));
+    }
+
+    /**
+     * Number of calls currently in progress (not yet ended)
+     */
+    getLiveCallCount() {
+        let count = 0;
+        for (const session of this.activeSessions.values()) {
+            if (!session.endReason) count++;
+        }
+        return count;
+    }
+
+    /**
+     * Get per-call status, including sideband connection state
+     */
+    getActiveCalls() {
+        return Array.from(this.activeSessions.values()).filter(session => !session.endReason).map(session => ({
+            callId: session.callId,
+            status: session.status,
+            startTime: session.startTime,
+            acceptedAt: session.acceptedAt,
+            endTime: session.endTime,
+            endReason: session.endReason,
+            language: session.language,
+            interruptions: session.interruptions || 0,
+            sideband: session.sideband ? session.sideband.getStatus() : null
+        }));
+    }
+
+    /**
+     * Barge-in counts across recent calls - frequent interruptions suggest answers are too long
+     */
+    getInterruptionStats() {
+        const calls = [...this.callHistory, ...this.getActiveCalls()];
+        const total = calls.reduce((sum, call) => sum + (call.interruptions || 0), 0);
+
+        return {
+            total,
+            callsWithInterruptions: calls.filter(call => call.interruptions > 0).length,
+            averagePerCall: calls.length > 0 ? Math.round((total / calls.length) * 100) / 100 : 0
+        };
+    }
+
+    /**
+     * Compare prompt variants on function success rate, zero-result rate and call length
+     */
+    async getPromptVersionAnalytics() {
+        const rate = (count, total) => (total > 0 ? Math.round((count / total) * 1000) / 1000 : null);
+        const rows = await this.databaseManager.getPromptVersionStats();
+
+        return rows.map(row => ({
+            version: row.version,
+            weight: this.promptRegistry.get(row.version)?.weight ?? null,
+            calls: row.calls,
+            avgDurationSeconds: row.avg_duration_seconds === null ? null : Math.round(row.avg_duration_seconds),
+            functionCalls: row.function_calls,
+            functionSuccessRate: rate(row.successful_function_calls, row.function_calls),
+            zeroResultRate: rate(row.zero_result_calls, row.successful_lookups)
+        }));
     }
 
     /**
@@ -534,8 +1454,19 @@ Remember: This is a voice conversation - be natural, friendly, and helpful!`;
             // Return comprehensive analytics including context management
             const analytics = {
                 activeSessions: this.activeSessions.size,
+                liveCalls: this.getLiveCallCount(),
+                maxConcurrentCalls: this.maxConcurrentCalls || null,
+                overflow: this.overflowStats,
+                screening: this.callScreening.getStats(),
+                activeCalls: this.getActiveCalls(),
+                recentCalls: this.callHistory.slice(-20),
+                interruptions: this.getInterruptionStats(),
+                functionTimeouts: this.realtimeFunctions.getTimeoutStats(),
+                functionCallDuplicates: this.functionCallCache.getStats(),
                 totalSessions: await this.databaseManager.getAllSessions().then(s => s.length),
                 contextSessions: this.contextManager.getActiveSessionCount(),
+                rememberedCallers: this.contextManager.getRememberedCallerCount(),
+                promptVersions: await this.getPromptVersionAnalytics(),
                 activeContexts: this.contextManager.getActiveSessions(),
                 systemHealth: {
                     database: 'healthy',